@@ -37,6 +37,7 @@ class STLExtrudeLabApp {
         this.uiController = null;
         
         this.selectedFaces = new Set();
+        this.bridgeTargetFaces = new Set();  // Second selection a bridge connects to
         this.waypoints = [];
         this.boundaryData = null;
 
@@ -510,6 +511,7 @@ class STLExtrudeLabApp {
                 
                 // Clear selection
                 this.selectedFaces.clear();
+                this.bridgeTargetFaces.clear();
                 this.boundaryData = null;
                 this.waypoints = [];
                 
@@ -769,6 +771,7 @@ Please simplify your mesh first.`;
 
             // Clear selection state
             this.selectedFaces.clear();
+            this.bridgeTargetFaces.clear();
             this.boundaryData = null;
             this.waypoints = [];
 
@@ -800,6 +803,48 @@ Please simplify your mesh first.`;
             setVal('scale-x', 1.0);
             setVal('scale-y', 1.0);
             setVal('segments', 20);
+            setVal('path-interpolation', 'linear');
+            setVal('wall-thickness', 0);
+            setVal('end-cap-style', 'flat');
+            setVal('end-cap-size', 2);
+            setVal('resample-points', 0);
+            setVal('ring-spacing', 'uniform');
+            setVal('ring-chord-tolerance', 0.1);
+            setVal('ring-angle-tolerance', 5);
+            setVal('twist-rate', 0);
+            setVal('scale-profile', 'linear');
+            setVal('scale-profile-amount', 0.5);
+            setVal('scale-profile-keyframes', '0:1, 0.5:1.5, 1:1');
+            setVal('end-profile', 'none');
+            setVal('end-profile-diameter', 20);
+            setVal('end-profile-sides', 6);
+            setVal('end-profile-width', 20);
+            setVal('end-profile-height', 10);
+            setVal('end-profile-radius', 2);
+            setVal('direction-mode', 'normal');
+            setVal('direction-x', 0);
+            setVal('direction-y', 0);
+            setVal('direction-z', 1);
+            setVal('pattern-type', 'none');
+            setVal('pattern-count', 4);
+            setVal('pattern-axis', 'z');
+            setVal('pattern-spacing', 20);
+            setVal('pattern-angle', 90);
+            setVal('mirror-plane', 'none');
+            setVal('revolve-axis', 'local-x');
+            setVal('revolve-radius', 20);
+            setVal('revolve-angle', 90);
+            setVal('revolve-steps', 16);
+            this.uiController.drawScaleProfile();
+
+            const followPathCheckbox = document.getElementById('follow-path');
+            if (followPathCheckbox) followPathCheckbox.checked = false;
+            const extrudeToSurfaceCheckbox = document.getElementById('extrude-to-surface');
+            if (extrudeToSurfaceCheckbox) extrudeToSurfaceCheckbox.checked = false;
+            const cutModeCheckbox = document.getElementById('cut-mode');
+            if (cutModeCheckbox) cutModeCheckbox.checked = false;
+            const revolveModeCheckbox = document.getElementById('revolve-mode');
+            if (revolveModeCheckbox) revolveModeCheckbox.checked = false;
 
             // Clear status messages
             const endLocationStatus = document.getElementById('end-location-status');
@@ -1,4 +1,6 @@
 // Face Selector - Handles face selection via clicking
+import { GeometryUtils } from './geometry-utils.js';
+
 class FaceSelector {
     constructor(app) {
         this.app = app;
@@ -10,6 +12,12 @@ class FaceSelector {
             opacity: 0.8,
             side: THREE.DoubleSide
         });
+        this.bridgeTargetMaterial = new THREE.MeshPhongMaterial({
+            color: 0x00aaff,
+            transparent: true,
+            opacity: 0.8,
+            side: THREE.DoubleSide
+        });
         
         this.setupEventListeners();
     }
@@ -18,6 +26,367 @@ class FaceSelector {
         const canvas = document.getElementById('viewer');
         
         canvas.addEventListener('click', (e) => this.onMouseClick(e));
+
+        // Box and lasso selection drag on the canvas
+        canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e));
+        canvas.addEventListener('pointermove', (e) => this.onPointerMove(e));
+        canvas.addEventListener('pointerup', (e) => this.onPointerUp(e));
+        canvas.addEventListener('pointerleave', () => this.updateBrushCursor(null));
+
+        // Alt + wheel resizes the brush; capture phase so the camera does not zoom as well
+        canvas.addEventListener('wheel', (e) => this.onBrushWheel(e), { capture: true, passive: false });
+    }
+
+    getSelectionTool() {
+        const tool = document.getElementById('selection-tool');
+        return tool ? tool.value : 'single';
+    }
+
+    onPointerDown(event) {
+        const tool = this.getSelectionTool();
+        if (!this.app.mesh || !this.app.selectionModeEnabled || event.button !== 0) return;
+
+        if (tool === 'brush') {
+            // Ctrl paints the faces out of the selection instead of in
+            this.brushStroke = { erase: event.ctrlKey || event.metaKey, count: 0 };
+            this.app.controls.enabled = false;
+            document.getElementById('viewer').setPointerCapture(event.pointerId);
+            this.paintAt(event);
+            return;
+        }
+        if (tool !== 'box' && tool !== 'lasso') return;
+
+        // The drag draws the shape instead of orbiting the camera
+        const canvas = document.getElementById('viewer');
+        const rect = canvas.getBoundingClientRect();
+        const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        this.dragShape = { tool, start: point, points: [point] };
+        this.app.controls.enabled = false;
+        canvas.setPointerCapture(event.pointerId);
+    }
+
+    onPointerMove(event) {
+        if (this.getSelectionTool() === 'brush') {
+            this.paintAt(event);
+            return;
+        }
+        this.updateBrushCursor(null);
+        if (!this.dragShape) return;
+
+        const rect = document.getElementById('viewer').getBoundingClientRect();
+        const point = { x: event.clientX - rect.left, y: event.clientY - rect.top };
+        if (this.dragShape.tool === 'box') {
+            const { start } = this.dragShape;
+            this.dragShape.points = [start, { x: point.x, y: start.y }, point, { x: start.x, y: point.y }];
+        } else {
+            const last = this.dragShape.points[this.dragShape.points.length - 1];
+            if (Math.hypot(point.x - last.x, point.y - last.y) >= 3) {
+                this.dragShape.points.push(point);
+            }
+        }
+        this.drawSelectionShape(this.dragShape.points);
+    }
+
+    onPointerUp(event) {
+        if (this.brushStroke) {
+            const { erase, count } = this.brushStroke;
+            this.brushStroke = null;
+            this.app.controls.enabled = true;
+            document.getElementById('viewer').releasePointerCapture(event.pointerId);
+            if (count > 0) {
+                this.app.log(`✓ Brush ${erase ? 'deselected' : 'selected'} ${count} faces`);
+            }
+            return;
+        }
+        if (!this.dragShape) return;
+
+        const canvas = document.getElementById('viewer');
+        const shape = this.dragShape;
+        this.dragShape = null;
+        this.app.controls.enabled = true;
+        canvas.releasePointerCapture(event.pointerId);
+        this.drawSelectionShape(null);
+
+        const xs = shape.points.map(p => p.x);
+        const ys = shape.points.map(p => p.y);
+        if (shape.points.length < 3 || Math.max(...xs) - Math.min(...xs) < 4 || Math.max(...ys) - Math.min(...ys) < 4) {
+            return;
+        }
+
+        const rect = canvas.getBoundingClientRect();
+        const visibleOnly = document.getElementById('select-visible-only')?.checked ?? true;
+        const faces = this.facesInScreenShape(shape.points, rect.width, rect.height, visibleOnly);
+
+        // Shift adds, Ctrl removes, no modifier replaces the selection
+        if (event.ctrlKey || event.metaKey) {
+            faces.forEach(face => this.app.selectedFaces.delete(face));
+            this.app.log(`✓ ${shape.tool === 'box' ? 'Box' : 'Lasso'} removed ${faces.length} faces`);
+        } else {
+            if (!event.shiftKey) this.app.selectedFaces.clear();
+            faces.forEach(face => this.app.selectedFaces.add(face));
+            this.app.log(`✓ ${shape.tool === 'box' ? 'Box' : 'Lasso'} selected ${faces.length} faces${visibleOnly ? ' (visible only)' : ''}`);
+        }
+        this.updateSelection();
+    }
+
+    getBrushRadius() {
+        const radius = parseFloat(document.getElementById('brush-radius')?.value);
+        return radius > 0 ? radius : 5;
+    }
+
+    /**
+     * Move the brush cursor to the surface under the pointer and, during a stroke,
+     * paint the faces under it into (or out of) the selection
+     * @param {PointerEvent} event - Pointer event on the viewer
+     */
+    paintAt(event) {
+        if (!this.app.mesh || !this.app.selectionModeEnabled) {
+            this.updateBrushCursor(null);
+            return;
+        }
+
+        const rect = document.getElementById('viewer').getBoundingClientRect();
+        this.mouse.x = ((event.clientX - rect.left) / rect.width) * 2 - 1;
+        this.mouse.y = -((event.clientY - rect.top) / rect.height) * 2 + 1;
+        this.raycaster.setFromCamera(this.mouse, this.app.camera);
+
+        const hit = this.raycaster.intersectObject(this.app.mesh)[0];
+        this.updateBrushCursor(hit || null);
+        this.lastBrushHit = hit || null;
+        if (!hit || !this.brushStroke) return;
+
+        const selected = this.app.selectedFaces;
+        let changed = 0;
+        this.facesInBrush(hit.faceIndex, hit.point, this.getBrushRadius()).forEach(face => {
+            if (this.brushStroke.erase === selected.has(face)) {
+                this.brushStroke.erase ? selected.delete(face) : selected.add(face);
+                changed++;
+            }
+        });
+        if (changed > 0) {
+            this.brushStroke.count += changed;
+            this.updateSelection();
+        }
+    }
+
+    /**
+     * Faces within a world-space radius of a surface point, reached from the hit face through
+     * shared edges so the brush stays on the surface it touches and does not reach through
+     * thin walls
+     * @param {number} seedFace - Face under the brush centre
+     * @param {THREE.Vector3} center - Brush centre on the surface
+     * @param {number} radius - Brush radius in world units
+     * @returns {Array<number>} - Faces under the brush, seed included
+     */
+    facesInBrush(seedFace, center, radius) {
+        const { neighbours } = this.getFaceAdjacency();
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const triangle = new THREE.Triangle();
+        const closest = new THREE.Vector3();
+
+        const inside = (face) => {
+            const i = face * 9;
+            triangle.a.fromArray(positions, i);
+            triangle.b.fromArray(positions, i + 3);
+            triangle.c.fromArray(positions, i + 6);
+            return triangle.closestPointToPoint(center, closest).distanceTo(center) <= radius;
+        };
+
+        const visited = new Set([seedFace]);
+        const region = [seedFace];
+        for (let i = 0; i < region.length; i++) {
+            for (const next of neighbours[region[i]]) {
+                if (visited.has(next)) continue;
+                visited.add(next);
+                if (inside(next)) region.push(next);
+            }
+        }
+        return region;
+    }
+
+    /**
+     * Show the brush ring on the surface at a hit, or hide it
+     * @param {Object|null} hit - Raycaster intersection, or null to hide
+     */
+    updateBrushCursor(hit) {
+        if (!hit) {
+            if (this.brushCursor) this.brushCursor.visible = false;
+            return;
+        }
+
+        if (!this.brushCursor) {
+            // Unit ring scaled to the radius; drawn on top so it stays visible on curved surfaces
+            this.brushCursor = new THREE.Mesh(
+                new THREE.RingGeometry(0.92, 1, 48),
+                new THREE.MeshBasicMaterial({ color: 0xff6600, side: THREE.DoubleSide, depthTest: false, transparent: true })
+            );
+            this.brushCursor.name = 'brush-cursor';
+            this.brushCursor.renderOrder = 999;
+        }
+        if (!this.brushCursor.parent) this.app.scene.add(this.brushCursor);
+
+        const normal = hit.face.normal.clone().transformDirection(this.app.mesh.matrixWorld);
+        this.brushCursor.position.copy(hit.point);
+        this.brushCursor.quaternion.setFromUnitVectors(new THREE.Vector3(0, 0, 1), normal);
+        this.brushCursor.scale.setScalar(this.getBrushRadius());
+        this.brushCursor.visible = true;
+    }
+
+    onBrushWheel(event) {
+        if (!event.altKey || this.getSelectionTool() !== 'brush') return;
+        event.preventDefault();
+        event.stopImmediatePropagation();
+
+        // Each notch scales the radius by 10%
+        const input = document.getElementById('brush-radius');
+        const radius = this.getBrushRadius() * (event.deltaY < 0 ? 1.1 : 1 / 1.1);
+        input.value = Math.min(Math.max(radius, 0.1), 500).toFixed(2);
+        if (this.lastBrushHit) this.updateBrushCursor(this.lastBrushHit);
+    }
+
+    /**
+     * Show the box or lasso outline over the viewer, or hide it
+     * @param {Array<Object>|null} points - Outline in canvas pixels
+     */
+    drawSelectionShape(points) {
+        const svg = document.getElementById('selection-shape');
+        if (!svg) return;
+        if (!points || points.length < 2) {
+            svg.style.display = 'none';
+            return;
+        }
+        svg.querySelector('polygon').setAttribute('points', points.map(p => `${p.x},${p.y}`).join(' '));
+        svg.style.display = 'block';
+    }
+
+    /**
+     * Faces whose centroid projects inside a closed screen-space outline. With visibleOnly,
+     * faces turned away from the camera or hidden behind other faces are left out; hidden
+     * faces are found with a small software depth buffer over the outline's bounding box.
+     * @param {Array<Object>} polygon - Outline points {x, y} in canvas pixels
+     * @param {number} width - Canvas width in pixels
+     * @param {number} height - Canvas height in pixels
+     * @param {boolean} visibleOnly - Skip back-facing and occluded faces
+     * @returns {Array<number>} - Face indices
+     */
+    facesInScreenShape(polygon, width, height, visibleOnly = true) {
+        const camera = this.app.camera;
+        camera.updateMatrixWorld();
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const faceCount = positions.length / 9;
+
+        const inside = (x, y) => {
+            let result = false;
+            for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+                const a = polygon[i], b = polygon[j];
+                if ((a.y > y) !== (b.y > y) && x < (b.x - a.x) * (y - a.y) / (b.y - a.y) + a.x) {
+                    result = !result;
+                }
+            }
+            return result;
+        };
+
+        // Screen position (pixels) and view depth of a world point
+        const toScreen = (point) => {
+            const depth = -point.clone().applyMatrix4(camera.matrixWorldInverse).z;
+            const ndc = point.clone().project(camera);
+            return { x: (ndc.x + 1) / 2 * width, y: (1 - ndc.y) / 2 * height, depth };
+        };
+
+        const minX = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.x))));
+        const minY = Math.max(0, Math.floor(Math.min(...polygon.map(p => p.y))));
+        const maxX = Math.min(Math.ceil(width), Math.ceil(Math.max(...polygon.map(p => p.x))));
+        const maxY = Math.min(Math.ceil(height), Math.ceil(Math.max(...polygon.map(p => p.y))));
+        if (maxX <= minX || maxY <= minY) return [];
+
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        const corners = (face) => {
+            a.fromArray(positions, face * 9);
+            b.fromArray(positions, face * 9 + 3);
+            c.fromArray(positions, face * 9 + 6);
+        };
+
+        // Nearest surface per pixel (inverse depth interpolates linearly on screen) and the
+        // face it belongs to
+        let regionWidth = 0, inverseDepth = null, owner = null;
+        if (visibleOnly) {
+            regionWidth = maxX - minX;
+            inverseDepth = new Float32Array(regionWidth * (maxY - minY));
+            owner = new Int32Array(inverseDepth.length).fill(-1);
+
+            for (let face = 0; face < faceCount; face++) {
+                corners(face);
+                const s = [toScreen(a), toScreen(b), toScreen(c)];
+                if (s.some(v => v.depth <= camera.near)) continue;
+
+                const x0 = Math.max(minX, Math.floor(Math.min(s[0].x, s[1].x, s[2].x)));
+                const x1 = Math.min(maxX - 1, Math.ceil(Math.max(s[0].x, s[1].x, s[2].x)));
+                const y0 = Math.max(minY, Math.floor(Math.min(s[0].y, s[1].y, s[2].y)));
+                const y1 = Math.min(maxY - 1, Math.ceil(Math.max(s[0].y, s[1].y, s[2].y)));
+                if (x1 < x0 || y1 < y0) continue;
+
+                const area = (s[1].x - s[0].x) * (s[2].y - s[0].y) - (s[2].x - s[0].x) * (s[1].y - s[0].y);
+                if (Math.abs(area) < 1e-12) continue;
+
+                for (let y = y0; y <= y1; y++) {
+                    for (let x = x0; x <= x1; x++) {
+                        const px = x + 0.5, py = y + 0.5;
+                        const w0 = ((s[1].x - px) * (s[2].y - py) - (s[2].x - px) * (s[1].y - py)) / area;
+                        const w1 = ((s[2].x - px) * (s[0].y - py) - (s[0].x - px) * (s[2].y - py)) / area;
+                        const w2 = 1 - w0 - w1;
+                        if (w0 < 0 || w1 < 0 || w2 < 0) continue;
+
+                        const inv = w0 / s[0].depth + w1 / s[1].depth + w2 / s[2].depth;
+                        const pixel = (y - minY) * regionWidth + (x - minX);
+                        if (inv > inverseDepth[pixel]) {
+                            inverseDepth[pixel] = inv;
+                            owner[pixel] = face;
+                        }
+                    }
+                }
+            }
+        }
+
+        const faces = [];
+        const centroid = new THREE.Vector3();
+        const normal = new THREE.Vector3();
+        const toCamera = new THREE.Vector3();
+        for (let face = 0; face < faceCount; face++) {
+            corners(face);
+            centroid.copy(a).add(b).add(c).divideScalar(3);
+            const screen = toScreen(centroid);
+            if (screen.depth <= camera.near || !inside(screen.x, screen.y)) continue;
+
+            if (visibleOnly) {
+                // Turned away from the camera
+                new THREE.Triangle(a, b, c).getNormal(normal);
+                if (camera.isOrthographicCamera) {
+                    camera.getWorldDirection(toCamera).negate();
+                } else {
+                    toCamera.subVectors(camera.position, centroid);
+                }
+                if (normal.dot(toCamera) <= 0) continue;
+
+                // Hidden: something nearer covers the pixels around the centroid. The farthest
+                // of the 3x3 pixels is the reference, since depth changes fast across a pixel
+                // on surfaces seen at a grazing angle
+                const cx = Math.floor(screen.x), cy = Math.floor(screen.y);
+                let owned = false;
+                let farthest = Infinity;
+                for (let y = Math.max(cy - 1, minY); y <= Math.min(cy + 1, maxY - 1); y++) {
+                    for (let x = Math.max(cx - 1, minX); x <= Math.min(cx + 1, maxX - 1); x++) {
+                        const pixel = (y - minY) * regionWidth + (x - minX);
+                        if (owner[pixel] === face) owned = true;
+                        farthest = Math.min(farthest, inverseDepth[pixel]);
+                    }
+                }
+                if (!owned && 1 / screen.depth < farthest * (1 - 2e-3)) continue;
+            }
+
+            faces.push(face);
+        }
+
+        return faces;
     }
     
     onMouseClick(event) {
@@ -27,6 +396,10 @@ class FaceSelector {
         if (!this.app.selectionModeEnabled) {
             return; // Don't select, just allow camera orbit
         }
+
+        // Box, lasso and brush select on drag, a plain click does nothing
+        const tool = this.getSelectionTool();
+        if (tool === 'box' || tool === 'lasso' || tool === 'brush') return;
         
         const canvas = document.getElementById('viewer');
         const rect = canvas.getBoundingClientRect();
@@ -40,6 +413,17 @@ class FaceSelector {
         
         if (intersects.length > 0) {
             const faceIndex = intersects[0].faceIndex;
+
+            // Flood fill: the clicked face decides whether the whole region is added or removed
+            if (tool === 'flood') {
+                const tolerance = parseFloat(document.getElementById('flood-angle-tolerance').value);
+                const region = this.floodFillFaces(faceIndex, isNaN(tolerance) ? 5 : tolerance);
+                const deselect = this.app.selectedFaces.has(faceIndex);
+                region.forEach(face => deselect ? this.app.selectedFaces.delete(face) : this.app.selectedFaces.add(face));
+                this.app.log(`✓ Flood fill ${deselect ? 'deselected' : 'selected'} ${region.length} faces`);
+                this.updateSelection();
+                return;
+            }
             
             if (this.app.selectedFaces.has(faceIndex)) {
                 this.app.selectedFaces.delete(faceIndex);
@@ -51,11 +435,120 @@ class FaceSelector {
         }
     }
     
+    /**
+     * Grow a region from a seed face through shared edges. A neighbour joins when its normal
+     * is within the tolerance of both the seed and the face it is reached from, so the fill
+     * covers a flat area split into many triangles and stops at sharp edges.
+     * @param {number} seedFace - Face to start from
+     * @param {number} angleTolerance - Maximum normal deviation in degrees
+     * @returns {Array<number>} - Faces of the region, seed included
+     */
+    floodFillFaces(seedFace, angleTolerance) {
+        const { neighbours, normals } = this.getFaceAdjacency();
+        const minDot = Math.cos(THREE.MathUtils.degToRad(Math.min(Math.max(angleTolerance, 0), 180)));
+        const seedNormal = normals[seedFace];
+
+        const region = [seedFace];
+        const visited = new Set(region);
+        const queue = [seedFace];
+        while (queue.length > 0) {
+            const face = queue.pop();
+            neighbours[face].forEach(next => {
+                if (visited.has(next)) return;
+                visited.add(next);
+
+                // Degenerate slivers have no normal to compare
+                if (normals[next].lengthSq() === 0) return;
+                if (normals[next].dot(seedNormal) < minDot || normals[next].dot(normals[face]) < minDot) return;
+
+                region.push(next);
+                queue.push(next);
+            });
+        }
+
+        return region;
+    }
+
+    /**
+     * Edge-connected neighbours and unit normals of every face, cached until the mesh
+     * geometry is replaced. faceEdges lists, for each edge of each face, every face on that
+     * edge (the face itself included).
+     * @returns {Object} - {neighbours: Array<Array<number>>, faceEdges: Array<Array<Array<number>>>,
+     *                      normals: Array<THREE.Vector3>}
+     */
+    getFaceAdjacency() {
+        const geometry = this.app.mesh.geometry;
+        if (this.adjacency && this.adjacency.geometry === geometry) {
+            return this.adjacency;
+        }
+
+        const positions = geometry.attributes.position.array;
+        const faceCount = positions.length / 9;
+        const neighbours = Array.from({ length: faceCount }, () => []);
+        const normals = [];
+        const edgeFaces = new Map();
+        const faceEdges = [];
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+
+        const vertexKey = (v) => GeometryUtils.vertexKey(v.x, v.y, v.z);
+
+        for (let face = 0; face < faceCount; face++) {
+            a.fromArray(positions, face * 9);
+            b.fromArray(positions, face * 9 + 3);
+            c.fromArray(positions, face * 9 + 6);
+            const normal = new THREE.Triangle(a, b, c).getNormal(new THREE.Vector3());
+            normals.push(normal);
+
+            const corners = [vertexKey(a), vertexKey(b), vertexKey(c)];
+            faceEdges.push([0, 1, 2].map(e => {
+                const [keyA, keyB] = [corners[e], corners[(e + 1) % 3]];
+                const key = keyA < keyB ? `${keyA}|${keyB}` : `${keyB}|${keyA}`;
+                if (!edgeFaces.has(key)) edgeFaces.set(key, []);
+                edgeFaces.get(key).push(face);
+                return edgeFaces.get(key);
+            }));
+        }
+
+        // Non-manifold edges connect every face that uses them
+        edgeFaces.forEach(faces => {
+            for (let i = 0; i < faces.length; i++) {
+                for (let j = i + 1; j < faces.length; j++) {
+                    neighbours[faces[i]].push(faces[j]);
+                    neighbours[faces[j]].push(faces[i]);
+                }
+            }
+        });
+
+        this.adjacency = { geometry, neighbours, faceEdges, normals };
+        return this.adjacency;
+    }
+
     updateSelection() {
         // Update the mesh to show selection
         this.visualizeSelection();
+        this.visualizeBridgeTarget();
         this.app.uiController.updateSelectionCount();
     }
+
+    visualizeBridgeTarget() {
+        const oldTarget = this.app.scene.getObjectByName('bridge-target-overlay');
+        if (oldTarget) {
+            this.app.scene.remove(oldTarget);
+            this.app.resourceTracker.disposeResource(oldTarget);
+        }
+
+        if (!this.app.mesh || this.app.bridgeTargetFaces.size === 0) return;
+
+        const targetGeometry = this.app.pipeGenerator.extractFaces(this.app.bridgeTargetFaces);
+        const targetMesh = new THREE.Mesh(targetGeometry, this.bridgeTargetMaterial);
+        targetMesh.name = 'bridge-target-overlay';
+
+        // Track resources
+        this.app.resourceTracker.track(targetGeometry);
+        this.app.resourceTracker.track(targetMesh);
+
+        this.app.scene.add(targetMesh);
+    }
     
     visualizeSelection() {
         // Remove old selection visualization
@@ -201,6 +694,170 @@ class FaceSelector {
         }, 100);
     }
     
+    /**
+     * Add one ring of faces sharing an edge with the selection
+     */
+    growSelection() {
+        if (!this.app.mesh || this.app.selectedFaces.size === 0) return;
+
+        const { neighbours } = this.getFaceAdjacency();
+        const ring = new Set();
+        this.app.selectedFaces.forEach(face => {
+            neighbours[face].forEach(next => {
+                if (!this.app.selectedFaces.has(next)) ring.add(next);
+            });
+        });
+
+        ring.forEach(face => this.app.selectedFaces.add(face));
+        this.updateSelection();
+        this.app.log(`✓ Grew selection by ${ring.size} faces`);
+    }
+
+    /**
+     * Remove the faces on the edge of the selection: those with an edge that no other
+     * selected face shares, including edges on an open border of the mesh
+     */
+    shrinkSelection() {
+        if (!this.app.mesh || this.app.selectedFaces.size === 0) return;
+
+        // Checked per edge: a face on a non-manifold edge can have three selected neighbours
+        // and still have an edge with none
+        const { faceEdges } = this.getFaceAdjacency();
+        const border = [];
+        this.app.selectedFaces.forEach(face => {
+            const open = faceEdges[face].some(edgeFaces => !edgeFaces.some(next => next !== face && this.app.selectedFaces.has(next)));
+            if (open) border.push(face);
+        });
+
+        border.forEach(face => this.app.selectedFaces.delete(face));
+        this.updateSelection();
+        this.app.log(`✓ Shrank selection by ${border.length} faces`);
+    }
+
+    /**
+     * Select every unselected face and deselect the rest
+     */
+    invertSelection() {
+        if (!this.app.mesh) return;
+
+        const faceCount = this.app.mesh.geometry.attributes.position.count / 3;
+        const inverted = new Set();
+        for (let face = 0; face < faceCount; face++) {
+            if (!this.app.selectedFaces.has(face)) inverted.add(face);
+        }
+
+        this.app.selectedFaces = inverted;
+        this.updateSelection();
+        this.app.log(`✓ Inverted selection: ${inverted.size} faces selected`);
+    }
+
+    /**
+     * Select faces by a geometric query instead of by camera or pointer
+     * @param {Object} criteria - One of
+     *   {type: 'normal', direction: THREE.Vector3, angle} - normal within angle (degrees) of direction
+     *   {type: 'area', above: boolean, threshold} - area above or below threshold (mm²)
+     *   {type: 'box', min: THREE.Vector3, max: THREE.Vector3} - all corners inside the box; use
+     *     ±Infinity on an axis for a slab
+     *   {type: 'shell'} - connected shells containing the current selection
+     * @param {string} mode - 'replace', 'add' or 'intersect' with the current selection
+     * @returns {number|null} - Faces matching, or null if the query could not run
+     */
+    selectByCriteria(criteria, mode = 'replace') {
+        if (!this.app.mesh) {
+            alert('Load a mesh first');
+            return null;
+        }
+
+        const matches = this.facesMatching(criteria);
+        if (!matches) return null;
+
+        const selected = this.app.selectedFaces;
+        if (mode === 'intersect') {
+            this.app.selectedFaces = new Set(matches.filter(face => selected.has(face)));
+        } else {
+            if (mode !== 'add') selected.clear();
+            matches.forEach(face => selected.add(face));
+        }
+
+        this.updateSelection();
+        this.app.log(`✓ Select by ${criteria.type}: ${matches.length} faces match, ${this.app.selectedFaces.size} selected (${mode})`);
+        return matches.length;
+    }
+
+    /**
+     * Faces matching a selectByCriteria query
+     * @param {Object} criteria - See selectByCriteria
+     * @returns {Array<number>|null} - Face indices, or null with a logged warning
+     */
+    facesMatching(criteria) {
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const faceCount = positions.length / 9;
+        const triangle = new THREE.Triangle();
+        const normal = new THREE.Vector3();
+        const matches = [];
+
+        const loadFace = (face) => {
+            triangle.a.fromArray(positions, face * 9);
+            triangle.b.fromArray(positions, face * 9 + 3);
+            triangle.c.fromArray(positions, face * 9 + 6);
+        };
+
+        if (criteria.type === 'normal') {
+            if (criteria.direction.lengthSq() < 1e-12) {
+                this.app.log('⚠️ Select by normal: the direction vector is zero');
+                return null;
+            }
+            const direction = criteria.direction.clone().normalize();
+            const minDot = Math.cos(THREE.MathUtils.degToRad(criteria.angle));
+            for (let face = 0; face < faceCount; face++) {
+                loadFace(face);
+                // Degenerate faces have no direction and never match
+                if (triangle.getArea() < 1e-12) continue;
+                if (triangle.getNormal(normal).dot(direction) >= minDot - 1e-9) matches.push(face);
+            }
+        } else if (criteria.type === 'area') {
+            for (let face = 0; face < faceCount; face++) {
+                loadFace(face);
+                const area = triangle.getArea();
+                if (criteria.above ? area > criteria.threshold : area < criteria.threshold) matches.push(face);
+            }
+        } else if (criteria.type === 'box') {
+            // A small tolerance so faces lying exactly on a bound (e.g. Z = 40) count as inside
+            const box = new THREE.Box3(criteria.min, criteria.max).expandByScalar(1e-4);
+            if (box.isEmpty()) {
+                this.app.log('⚠️ Select by region: the minimum is above the maximum on some axis');
+                return null;
+            }
+            for (let face = 0; face < faceCount; face++) {
+                loadFace(face);
+                if (box.containsPoint(triangle.a) && box.containsPoint(triangle.b) && box.containsPoint(triangle.c)) {
+                    matches.push(face);
+                }
+            }
+        } else if (criteria.type === 'shell') {
+            if (this.app.selectedFaces.size === 0) {
+                this.app.log('⚠️ Select by shell: select at least one face on each shell first');
+                return null;
+            }
+            const { neighbours } = this.getFaceAdjacency();
+            const visited = new Set(this.app.selectedFaces);
+            visited.forEach(face => matches.push(face));
+            for (let i = 0; i < matches.length; i++) {
+                for (const next of neighbours[matches[i]]) {
+                    if (!visited.has(next)) {
+                        visited.add(next);
+                        matches.push(next);
+                    }
+                }
+            }
+        } else {
+            this.app.log(`⚠️ Select by: unknown criterion "${criteria.type}"`);
+            return null;
+        }
+
+        return matches;
+    }
+
     clearSelection() {
         const hadSelection = this.app.selectedFaces.size > 0;
         this.app.selectedFaces.clear();
@@ -26,6 +26,14 @@ class GeometryUtils {
             .add(v3)
             .multiplyScalar(1/3);
     }
+
+    /**
+     * Position key rounded to 6 decimals. Tiny negatives (e.g. sin(2π) on a seam) count as
+     * zero, so they don't key as a separate "-0.000000" vertex
+     */
+    static vertexKey(x, y, z) {
+        return [x, y, z].map(value => (Math.abs(value) < 5e-7 ? 0 : value).toFixed(6)).join(',');
+    }
     
     static isPointInTriangle(p, v1, v2, v3) {
         // Barycentric coordinate test
@@ -344,6 +352,146 @@ class GeometryUtils {
 
         return geometry;
     }
+
+    /**
+     * Close T-junction cracks: a vertex that lies on another triangle's open edge (as CSG
+     * output leaves them) splits that triangle, so both sides of the crack share the vertex.
+     * Returns a new welded, indexed geometry.
+     */
+    static fixTJunctions(geometry, tolerance = 0.0001) {
+        // Snap to the tolerance grid first so near-duplicates land on the same weld key
+        const snapped = (geometry.index ? geometry.toNonIndexed() : geometry.clone());
+        const snappedPositions = snapped.attributes.position.array;
+        for (let i = 0; i < snappedPositions.length; i++) {
+            snappedPositions[i] = Math.round(snappedPositions[i] / tolerance) * tolerance;
+        }
+        const welded = this.weldVertices(snapped, tolerance);
+        const source = welded.attributes.position.array;
+        const points = [];
+        for (let i = 0; i < source.length; i += 3) {
+            points.push(new THREE.Vector3(source[i], source[i + 1], source[i + 2]));
+        }
+
+        let triangles = [];
+        const index = welded.index.array;
+        for (let i = 0; i < index.length; i += 3) {
+            triangles.push([index[i], index[i + 1], index[i + 2]]);
+        }
+
+        const edgeKey = (a, b) => a < b ? `${a}_${b}` : `${b}_${a}`;
+        let totalSplits = 0;
+
+        for (let pass = 0; pass < 10; pass++) {
+            // Open edges (used by one triangle) and the vertices on them
+            const edgeUse = new Map();
+            triangles.forEach(tri => {
+                for (let e = 0; e < 3; e++) {
+                    const key = edgeKey(tri[e], tri[(e + 1) % 3]);
+                    edgeUse.set(key, (edgeUse.get(key) || 0) + 1);
+                }
+            });
+            const openVertices = new Set();
+            let openLength = 0;
+            let openEdges = 0;
+            edgeUse.forEach((count, key) => {
+                if (count !== 1) return;
+                const [a, b] = key.split('_').map(Number);
+                openVertices.add(a);
+                openVertices.add(b);
+                openLength += points[a].distanceTo(points[b]);
+                openEdges++;
+            });
+
+            // Bucket the open vertices in a grid about one open edge wide, so each open edge
+            // only tests the vertices in the cells its bounding box covers
+            const cellSize = Math.max(openEdges > 0 ? openLength / openEdges : 1, tolerance * 10);
+            const cell = (value) => Math.floor(value / cellSize);
+            const grid = new Map();
+            openVertices.forEach(v => {
+                const key = `${cell(points[v].x)},${cell(points[v].y)},${cell(points[v].z)}`;
+                if (!grid.has(key)) grid.set(key, []);
+                grid.get(key).push(v);
+            });
+            const verticesNear = (a, b) => {
+                const min = points[a].clone().min(points[b]).subScalar(tolerance);
+                const max = points[a].clone().max(points[b]).addScalar(tolerance);
+                const near = [];
+                for (let x = cell(min.x); x <= cell(max.x); x++) {
+                    for (let y = cell(min.y); y <= cell(max.y); y++) {
+                        for (let z = cell(min.z); z <= cell(max.z); z++) {
+                            (grid.get(`${x},${y},${z}`) || []).forEach(v => near.push(v));
+                        }
+                    }
+                }
+                return near;
+            };
+
+            let splits = 0;
+            const nextTriangles = [];
+
+            triangles.forEach(tri => {
+                // Corners in order, with the open vertices found on each open edge inserted
+                const ring = [];
+                let splitEdge = -1;
+                let splitEdgeCount = 0;
+                for (let e = 0; e < 3; e++) {
+                    const a = tri[e];
+                    const b = tri[(e + 1) % 3];
+                    ring.push(a);
+                    if (edgeUse.get(edgeKey(a, b)) !== 1) continue;
+
+                    const edge = points[b].clone().sub(points[a]);
+                    const lengthSq = edge.lengthSq();
+                    if (lengthSq === 0) continue;
+
+                    const onEdge = [];
+                    verticesNear(a, b).forEach(v => {
+                        if (v === a || v === b) return;
+                        if (points[v].distanceTo(points[a]) < tolerance || points[v].distanceTo(points[b]) < tolerance) return;
+                        const offset = points[v].clone().sub(points[a]);
+                        const s = offset.dot(edge) / lengthSq;
+                        if (s > 0 && s < 1 && offset.addScaledVector(edge, -s).length() < tolerance) {
+                            onEdge.push({ v, s });
+                        }
+                    });
+                    if (onEdge.length > 0) {
+                        onEdge.sort((p, q) => p.s - q.s).forEach(({ v }) => ring.push(v));
+                        splits += onEdge.length;
+                        splitEdge = e;
+                        splitEdgeCount++;
+                    }
+                }
+
+                if (ring.length === 3) {
+                    nextTriangles.push(tri);
+                } else if (splitEdgeCount === 1) {
+                    // Fan from the corner opposite the split edge
+                    const apex = tri[(splitEdge + 2) % 3];
+                    const start = ring.indexOf(tri[splitEdge]);
+                    const chainLength = ring.length - 1;
+                    for (let j = 0; j < chainLength - 1; j++) {
+                        nextTriangles.push([apex, ring[(start + j) % ring.length], ring[(start + j + 1) % ring.length]]);
+                    }
+                } else {
+                    // Several split edges: fan from the triangle centroid
+                    const centre = points.length;
+                    points.push(points[tri[0]].clone().add(points[tri[1]]).add(points[tri[2]]).divideScalar(3));
+                    ring.forEach((v, j) => nextTriangles.push([centre, v, ring[(j + 1) % ring.length]]));
+                }
+            });
+
+            triangles = nextTriangles;
+            totalSplits += splits;
+            if (splits === 0) break;
+        }
+
+        console.log(`[GeometryUtils] Fixed T-junctions: ${totalSplits} vertices inserted into open edges`);
+
+        const fixedGeometry = new THREE.BufferGeometry();
+        fixedGeometry.setAttribute('position', new THREE.Float32BufferAttribute(points.flatMap(p => [p.x, p.y, p.z]), 3));
+        fixedGeometry.setIndex(triangles.flat());
+        return fixedGeometry;
+    }
 }
 
 // ES module export
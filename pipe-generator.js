@@ -1,64 +1,149 @@
 // Pipe Generator - Generates pipe geometry from selected faces
+import { GeometryUtils } from './geometry-utils.js';
+
 class PipeGenerator {
     constructor(app) {
         this.app = app;
     }
     
 	
-	generatePipe(params, isPreview = false) {
+	generatePipe(params, isPreview = false, faceIndices = null) {
 		if (this.app.selectedFaces.size === 0) {
 			return null;
 		}
-		
+
 		try {
-			const selectedGeometry = this.extractSelectedFaces();
+			// Separate patches (e.g. four mounting pads) each need their own centroid, normal and frame
+			if (!faceIndices) {
+				const islands = this.findSelectionIslands(this.app.selectedFaces);
+				if (islands.length > 1) {
+					return this.generatePipeIslands(islands, params, isPreview);
+				}
+			}
+
+			const selectedGeometry = faceIndices ? this.extractFaces(faceIndices) : this.extractSelectedFaces();
 			if (!selectedGeometry) return null;
 
-			// FIXED: Use stored boundary consistently
-			// Only use edge editor if user explicitly clicked "Reorder Boundary"
-			let boundary;
-
-			if (this.app.boundaryData) {
-				// Use the boundary stored from createEndLocation
-				this.app.log('✔ Using stored boundary data');
-				boundary = this.app.boundaryData;
-			} else if (this.app.edgeEditor && this.app.edgeEditor.currentBoundary) {
-				// Fallback to edge editor only if no stored boundary
-				boundary = this.app.edgeEditor.currentBoundary; // DON'T reorder
-				this.app.log('✔ Using edge editor boundary');
-			} else {
-				// Last resort: extract fresh
-				boundary = this.extractBoundaryFromGeometry(selectedGeometry);
-				this.app.log('✔ Extracted fresh boundary');
-			}
+			const boundary = this.resolveBoundary(selectedGeometry, !!faceIndices);
 
 			if (!boundary || boundary.loops.length === 0) {
 				this.app.log('⚠️ No boundary found, using simple extrusion');
 				return this.simpleExtrusion(selectedGeometry, params);
 			}
 
-			// Calculate centroid and normal
+			// Calculate centroid, face normal and extrusion direction; the local frame and the
+			// sweep follow the direction, the start loop stays in the plane of the faces
 			const centroid = this.calculateCentroid(selectedGeometry);
-			const normal = this.calculateAverageNormal(selectedGeometry);
+			const faceNormal = this.calculateAverageNormal(selectedGeometry);
+			const normal = this.resolveExtrusionDirection(params, faceNormal, isPreview);
+
+            // Extrude to surface: a straight sweep along the extrusion direction where every point
+            // stops at its own ray hit on the mesh, so waypoints and end transforms don't apply
+            let surfaceDistance = null;
+            let waypoints = this.app.waypoints;
+
+            // Cut mode sweeps into the model: length and waypoint depths run against the face
+            // normal, so the walls face into the pocket and the moved faces become its floor
+            if (params.cut) {
+                if (params.extrudeToSurface || (params.wallThickness || 0) > 0) {
+                    this.app.log('⚠️ Extrude to surface and wall thickness are not available when cutting');
+                }
+                params = { ...params, length: -(params.length || 0), extrudeToSurface: false, wallThickness: 0 };
+                waypoints = waypoints.map(wp => ({ ...wp, length: -wp.length }));
+                this.app.log(`  Cutting ${-params.length} mm into the model`);
+            }
+
+            if (params.extrudeToSurface) {
+                const direction = normal.clone().multiplyScalar(params.length || 0)
+                    .add(new THREE.Vector3(params.offsetX || 0, params.offsetY || 0, params.offsetZ || 0));
+                if (direction.lengthSq() < 1e-12 || direction.dot(normal) <= 0) {
+                    direction.copy(normal);
+                }
+                surfaceDistance = this.buildSurfaceDistanceFunction(direction.normalize());
+
+                params = {
+                    ...params,
+                    length: 0, offsetX: 0, offsetY: 0, offsetZ: 0,
+                    rotX: 0, rotY: 0, rotZ: 0, scaleX: 1, scaleY: 1,
+                    twistRate: 0, scaleProfile: null, endProfile: null, followPath: false
+                };
+                waypoints = [];
+                this.app.log('  Extruding to surface: length, offset, rotation, scale and waypoints are ignored');
+            }
 
             // Build control points (start, waypoints, end)
-            const controlPoints = this.buildControlPoints(params);
+            const controlPoints = this.buildControlPoints(params, waypoints);
 
             // Build SHARED local coordinate frame for consistent transformations
             // This frame is used by both pipe rings AND end face to ensure perfect alignment
-            const localZ = normal.clone().normalize();
-            const arbitrary = Math.abs(localZ.z) < 0.9
-                ? new THREE.Vector3(0, 0, 1)
-                : new THREE.Vector3(1, 0, 0);
-            const localX = new THREE.Vector3().crossVectors(arbitrary, localZ).normalize();
-            const localY = new THREE.Vector3().crossVectors(localZ, localX).normalize();
+            const { localX, localY, localZ } = this.buildLocalFrame(normal);
+
+            // Helical twist (about the ring axis) as a function of t, or null without twist
+            const twistAt = this.buildTwistFunction(params.twistRate || 0, controlPoints, normal, params.pathInterpolation || 'linear');
 
             // Generate pipe with waypoints (using shared coordinate frame)
             const pipeResult = this.generatePipeWithWaypoints(
                 boundary, centroid, normal, controlPoints, params.segments, params.finalSegmentSplit || 0,
-                localX, localY, localZ, params.firstSegmentSplit || 0
+                localX, localY, localZ, params.firstSegmentSplit || 0,
+                {
+                    interpolation: params.pathInterpolation || 'linear',
+                    followPath: !!params.followPath,
+                    wallThickness: params.wallThickness || 0,
+                    resampleCount: params.resamplePoints || 0,
+                    ringSpacing: params.ringSpacing || 'uniform',
+                    chordTolerance: params.ringChordTolerance,
+                    angleTolerance: params.ringAngleTolerance,
+                    twistAt,
+                    scaleProfile: params.scaleProfile || null,
+                    endProfile: params.endProfile || null,
+                    surfaceDistance,
+                    faceNormal
+                }
             );
 
+            // In follow-path mode the end face rides on the same path frame as the last ring;
+            // a twist turns it about its own axis like the last ring
+            let endParams = pipeResult.endFrame
+                ? { ...params, orientation: this.orientationOnPath(pipeResult.endFrame, params) }
+                : params;
+            if (twistAt) {
+                endParams = { ...endParams, orientation: this.applyTwist(endParams, twistAt(1), localZ) };
+            }
+            // Custom scale profiles can end at a multiplier other than 1
+            if (params.scaleProfile) {
+                const endScale = this.interpolateParams(1, controlPoints, normal, params.pathInterpolation || 'linear', params.scaleProfile);
+                endParams = { ...endParams, scaleX: endScale.scaleX, scaleY: endScale.scaleY };
+            }
+
+            // Hollow tubes close with an annulus between outer and inner walls; the bore stays
+            // open at the start so it leads into the model through the removed faces
+            const isHollow = (params.wallThickness || 0) > 0;
+            const capStyle = params.endCapStyle || 'flat';
+            if (surfaceDistance && !isHollow && capStyle !== 'flat') {
+                this.app.log(`⚠️ ${capStyle} end cap is not available when extruding to a surface, the end follows the surface`);
+            } else if (isHollow && capStyle !== 'flat') {
+                this.app.log(`⚠️ ${capStyle} end cap is not available for hollow tubes, using annular cap`);
+            }
+            const buildEndFaceGeometry = () => {
+                if (surfaceDistance && !isHollow) {
+                    return this.createSurfaceEndFace(selectedGeometry, surfaceDistance, centroid, faceNormal, pipeResult.finalRings);
+                }
+                if (isHollow) {
+                    return this.createAnnularCap(pipeResult.finalRings, pipeResult.finalInnerRings);
+                }
+                // A morphed end no longer matches the selected faces, so close its final ring instead.
+                // A cut builds the cap for the reversed rings (so it reaches deeper) and turns it
+                // to face into the pocket
+                if (capStyle !== 'flat' || pipeResult.morphed) {
+                    const styledCap = params.cut
+                        ? this.createStyledEndCap(pipeResult.finalRings.map(ring => [...ring].reverse()), capStyle, params.endCapSize || 2)
+                        : this.createStyledEndCap(pipeResult.finalRings, capStyle, params.endCapSize || 2);
+                    if (styledCap && params.cut) this.flipWinding(styledCap);
+                    if (styledCap) return styledCap;
+                }
+                return this.createTransformedFace(selectedGeometry, centroid, normal, endParams, 1.0, localX, localY, localZ);
+            };
+
             const pipeGeometry = pipeResult.geometry;
             const finalRings = pipeResult.finalRings;  // Store final ring for end cap
             const firstRings = pipeResult.firstRings;   // Store first ring for potential future use
@@ -72,7 +157,7 @@ class PipeGenerator {
             
             // Create meshes for preview or final
             const pipeMaterial = new THREE.MeshPhongMaterial({
-                color: isPreview ? 0x00ff00 : 0x87CEEB,
+                color: isPreview ? (params.cut ? 0xff4444 : 0x00ff00) : 0x87CEEB,
                 transparent: isPreview,
                 opacity: isPreview ? 0.4 : 1.0,
                 side: THREE.DoubleSide,
@@ -83,9 +168,7 @@ class PipeGenerator {
             
             if (isPreview) {
 				// --- existing preview end-face code ---
-				const endFaceGeometry = this.createTransformedFace(
-					selectedGeometry, centroid, normal, params, 1.0, localX, localY, localZ
-				);
+				const endFaceGeometry = buildEndFaceGeometry();
 				const endFaceMaterial = new THREE.MeshPhongMaterial({
 					color: 0xff00ff,
 					transparent: true,
@@ -100,8 +183,8 @@ class PipeGenerator {
 
 				const totalLength = params.length || 0;
 
-				this.app.waypoints.forEach((wp, idx) => {
-					const t = totalLength > 0 ? Math.min(Math.max(wp.length / totalLength, 0), 1) : 0;
+				waypoints.forEach((wp, idx) => {
+					const t = totalLength !== 0 ? Math.min(Math.max(wp.length / totalLength, 0), 1) : 0;
 
 					// Use global length for depth, but waypoint's own transform & scale
 					const wpParams = {
@@ -119,6 +202,23 @@ class PipeGenerator {
 						scaleY: wp.scaleY
 					};
 
+					if (params.followPath) {
+						// Transport the frame over the same rings as the pipe, up to the waypoint
+						const ringTs = pipeResult.tValues.filter(ringT => ringT < t);
+						const frames = this.computePathFrames(
+							[...ringTs, t], controlPoints, normal, localZ, params.pathInterpolation || 'linear'
+						);
+						wpParams.orientation = this.orientationOnPath(frames[frames.length - 1], wp);
+					}
+					if (twistAt) {
+						wpParams.orientation = this.applyTwist(wpParams, twistAt(t), localZ);
+					}
+					if (params.scaleProfile) {
+						const wpScale = this.interpolateParams(t, controlPoints, normal, params.pathInterpolation || 'linear', params.scaleProfile);
+						wpParams.scaleX = wpScale.scaleX;
+						wpParams.scaleY = wpScale.scaleY;
+					}
+
 					const wpGeometry = this.createTransformedFace(
 						selectedGeometry,
 						centroid,
@@ -153,19 +253,26 @@ class PipeGenerator {
 				// --- CREATE END CAP USING ORIGINAL FACE GEOMETRY ---
 				// Use createTransformedFace with t=1.0 to preserve original triangulation
 				// This ensures the end cap matches the selected face exactly
-				this.app.log('  Creating end cap from original face geometry...');
-				const endFaceGeometry = this.createTransformedFace(
-					selectedGeometry, centroid, normal, params, 1.0, localX, localY, localZ
-				);
+				this.app.log(isHollow
+					? '  Creating annular end cap for hollow tube...'
+					: `  Creating ${capStyle} end cap...`);
+				const endFaceGeometry = buildEndFaceGeometry();
 				const endFaceMaterial = new THREE.MeshPhongMaterial({
 					color: 0x87CEEB,
 					side: THREE.DoubleSide
 				});
 				const endFaceMesh = new THREE.Mesh(endFaceGeometry, endFaceMaterial);
 
+				// A cut that leaves the model can't be merged as a pocket; hand back a closed tool
+				// for a boolean subtract instead
+				const cutTool = params.cut
+					? this.buildThroughCutTool(pipeGeometry, endFaceGeometry, selectedGeometry, normal, !!params.forceCutTool)
+					: null;
+
 				return {
 					pipe: pipeMesh,
-					endFace: endFaceMesh
+					endFace: endFaceMesh,
+					cutTool
 				};
 			}
             
@@ -176,11 +283,595 @@ class PipeGenerator {
         }
     }
     
+    /**
+     * Boundary of the selected faces: the stored boundary from the end face step or the edge
+     * editor when there is one, otherwise extracted fresh
+     * @param {THREE.BufferGeometry} selectedGeometry - The selected faces
+     * @param {boolean} isIsland - One island of a split selection (the stored boundary covers every island)
+     * @returns {Object|null} - {loops}
+     */
+    resolveBoundary(selectedGeometry, isIsland = false) {
+        // FIXED: Use stored boundary consistently
+        // Only use edge editor if user explicitly clicked "Reorder Boundary"
+        if (isIsland) {
+            return this.extractBoundaryFromGeometry(selectedGeometry);
+        }
+        if (this.app.boundaryData) {
+            // Use the boundary stored from createEndLocation
+            this.app.log('✔ Using stored boundary data');
+            return this.app.boundaryData;
+        }
+        if (this.app.edgeEditor && this.app.edgeEditor.currentBoundary) {
+            // Fallback to edge editor only if no stored boundary
+            this.app.log('✔ Using edge editor boundary');
+            return this.app.edgeEditor.currentBoundary; // DON'T reorder
+        }
+        // Last resort: extract fresh
+        this.app.log('✔ Extracted fresh boundary');
+        return this.extractBoundaryFromGeometry(selectedGeometry);
+    }
+
+    /**
+     * Extrude each edge-connected island of the selection on its own with the shared
+     * parameters, then combine the results into one pipe and one end face
+     * @param {Array<Array<number>>} islands - Face indices of each island
+     * @returns {Object|null} - Same shape as generatePipe's result
+     */
+    generatePipeIslands(islands, params, isPreview) {
+        this.app.log(`✔ Selection has ${islands.length} separate islands, extruding each on its own`);
+
+        const results = [];
+        for (let i = 0; i < islands.length; i++) {
+            this.app.log(`  Island ${i + 1}: ${islands[i].length} faces`);
+            const result = this.generatePipe(params, isPreview, islands[i]);
+            if (!result) {
+                this.app.log(`✗ Island ${i + 1} failed, nothing generated`);
+                return null;
+            }
+            results.push(result);
+        }
+
+        // Once one island's cut breaks out, every island goes through the boolean subtract
+        if (!isPreview && params.cut && results.some(result => result.cutTool)) {
+            for (let i = 0; i < results.length; i++) {
+                if (!results[i].cutTool) {
+                    results[i] = this.generatePipe({ ...params, forceCutTool: true }, false, islands[i]);
+                    if (!results[i]) return null;
+                }
+            }
+        }
+
+        const combined = {
+            pipe: new THREE.Mesh(this.combineGeometries(results.map(result => result.pipe.geometry)), results[0].pipe.material),
+            endFace: new THREE.Mesh(this.combineGeometries(results.map(result => result.endFace.geometry)), results[0].endFace.material)
+        };
+        if (isPreview) {
+            combined.waypoints = results.flatMap(result => result.waypoints || []);
+        } else if (params.cut) {
+            combined.cutTool = results[0].cutTool
+                ? new THREE.Mesh(this.combineGeometries(results.map(result => result.cutTool.geometry)), results[0].cutTool.material)
+                : null;
+        }
+
+        return combined;
+    }
+
+    /**
+     * Repeat the generated extrusion along a world axis (linear) or around a world axis
+     * through the model's centre (circular), and/or mirror it across a symmetry plane.
+     * Every copy needs faces on the mesh covering the transformed selection; those become
+     * its seam. Pattern copies without them are skipped, a mirror without them fails.
+     * @param {Object} params - Extrusion parameters with params.pattern {type, count, axis, spacing, angle}
+     *                          and/or params.mirror {plane}
+     * @param {boolean} isPreview - Whether this is a preview
+     * @returns {Object|null} - Same shape as generatePipe's result plus seamFaces to remove
+     */
+    generatePattern(params, isPreview = false) {
+        const pattern = params.pattern && params.pattern.count >= 2 ? params.pattern : null;
+        const base = params.revolve ? this.generateRevolve(params, isPreview) : this.generatePipe(params, isPreview);
+        if (!base || (!pattern && !params.mirror)) return base;
+
+        const tolerance = (this.app.config?.weldTolerance || 0.001) * 10;
+        const selected = [...this.app.selectedFaces];
+        const usedFaces = new Set(selected);
+
+        // Copies whose seams touch would leave walls back to back on a shared edge or vertex
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const vertexKeys = (faces) => faces.flatMap(face => [0, 1, 2].map(k =>
+            Array.from(positions.slice(face * 9 + k * 3, face * 9 + k * 3 + 3)).map(v => v.toFixed(6)).join(',')));
+        const usedVertices = new Set(vertexKeys(selected));
+
+        const pipes = [base.pipe.geometry];
+        const endFaces = base.endFace ? [base.endFace.geometry] : [];
+        const cutTools = base.cutTool ? [base.cutTool.geometry] : [];
+        const unionTools = base.unionTool ? [base.unionTool.geometry] : [];
+        const waypoints = [...(base.waypoints || [])];
+        const placed = [new THREE.Matrix4()];
+
+        // A reflection turns the copy inside out, so its winding is flipped back
+        const transformed = (geometry, matrix) => {
+            const copy = geometry.clone().applyMatrix4(matrix);
+            return matrix.determinant() < 0 ? this.flipWinding(copy) : copy;
+        };
+
+        // Rounding in the transform leaves the copy's first ring a hair off the mesh, which
+        // the weld can miss; put those vertices exactly on the seam's vertices
+        const snapToSeam = (geometry, seam) => {
+            const nearestSeamVertex = this.buildPointLookup(
+                seam.flatMap(face => [0, 1, 2].map(k => new THREE.Vector3().fromArray(positions, face * 9 + k * 3))),
+                tolerance
+            );
+            const attribute = geometry.attributes.position;
+            const vertex = new THREE.Vector3();
+            for (let i = 0; i < attribute.count; i++) {
+                vertex.fromBufferAttribute(attribute, i);
+                const target = nearestSeamVertex(vertex);
+                if (target) attribute.setXYZ(i, target.x, target.y, target.z);
+            }
+            attribute.needsUpdate = true;
+            return geometry;
+        };
+        const place = (matrix, label) => {
+            const seam = this.findTransformedFaces(selected, matrix, usedFaces, tolerance);
+            if (!seam) {
+                this.app.log(`⚠️ ${label}: no matching free faces on the mesh`);
+                return false;
+            }
+            const seamVertices = vertexKeys(seam);
+            if (seamVertices.some(key => usedVertices.has(key))) {
+                this.app.log(`⚠️ ${label}: touches another copy`);
+                return false;
+            }
+            seam.forEach(face => usedFaces.add(face));
+            seamVertices.forEach(key => usedVertices.add(key));
+            pipes.push(snapToSeam(transformed(base.pipe.geometry, matrix), seam));
+            if (base.endFace) endFaces.push(transformed(base.endFace.geometry, matrix));
+            if (base.cutTool) cutTools.push(transformed(base.cutTool.geometry, matrix));
+            if (base.unionTool) unionTools.push(transformed(base.unionTool.geometry, matrix));
+            if (isPreview) {
+                (base.waypoints || []).forEach(wp => waypoints.push(new THREE.Mesh(transformed(wp.geometry, matrix), wp.material)));
+            }
+            placed.push(matrix);
+            return true;
+        };
+
+        if (pattern) {
+            const axis = new THREE.Vector3(
+                pattern.axis === 'x' ? 1 : 0,
+                pattern.axis === 'y' ? 1 : 0,
+                pattern.axis === 'z' ? 1 : 0
+            );
+            const center = new THREE.Vector3();
+            if (pattern.type === 'circular') {
+                this.app.mesh.geometry.computeBoundingBox();
+                this.app.mesh.geometry.boundingBox.getCenter(center);
+            }
+
+            for (let k = 1; k < pattern.count; k++) {
+                const matrix = pattern.type === 'linear'
+                    ? new THREE.Matrix4().makeTranslation(axis.x * pattern.spacing * k, axis.y * pattern.spacing * k, axis.z * pattern.spacing * k)
+                    : new THREE.Matrix4().makeTranslation(center.x, center.y, center.z)
+                        .multiply(new THREE.Matrix4().makeRotationAxis(axis, THREE.MathUtils.degToRad(pattern.angle * k)))
+                        .multiply(new THREE.Matrix4().makeTranslation(-center.x, -center.y, -center.z));
+                if (!place(matrix, `Pattern copy ${k + 1}`)) {
+                    this.app.log(`  Pattern copy ${k + 1} skipped`);
+                }
+            }
+
+            const description = pattern.type === 'linear'
+                ? `${pattern.spacing} apart along ${pattern.axis.toUpperCase()}`
+                : `${pattern.angle}° apart around ${pattern.axis.toUpperCase()} through (${center.x.toFixed(2)}, ${center.y.toFixed(2)}, ${center.z.toFixed(2)})`;
+            this.app.log(`✔ ${pattern.type === 'linear' ? 'Linear' : 'Circular'} pattern: ${placed.length} of ${pattern.count} copies, ${description}`);
+        }
+
+        if (params.mirror) {
+            let mirror;
+            try {
+                mirror = this.buildMirrorMatrix(params.mirror.plane, this.calculateCentroid(this.extractSelectedFaces()));
+            } catch (error) {
+                this.app.log(`✗ Mirror error: ${error.message}`);
+                return null;
+            }
+
+            // The mirrored extrusion is committed together with the original or not at all
+            const originals = placed.slice();
+            for (let i = 0; i < originals.length; i++) {
+                const label = i === 0 ? 'Mirrored extrusion' : `Mirrored pattern copy ${i + 1}`;
+                if (!place(mirror.clone().multiply(originals[i]), label)) {
+                    if (i === 0) {
+                        this.app.log('✗ Mirror failed: the selection has no mirror image on the other side of the plane');
+                        return null;
+                    }
+                    this.app.log(`  ${label} skipped`);
+                }
+            }
+            this.app.log(`✔ Mirrored ${placed.length - originals.length} extrusion(s)`);
+        }
+
+        const combined = {
+            pipe: new THREE.Mesh(this.combineGeometries(pipes), base.pipe.material),
+            endFace: base.endFace ? new THREE.Mesh(this.combineGeometries(endFaces), base.endFace.material) : null,
+            seamFaces: [...usedFaces]
+        };
+        if (isPreview) {
+            combined.waypoints = waypoints;
+        } else if (base.cutTool) {
+            combined.cutTool = new THREE.Mesh(this.combineGeometries(cutTools), base.cutTool.material);
+        } else if (base.unionTool) {
+            combined.unionTool = new THREE.Mesh(this.combineGeometries(unionTools), base.unionTool.material);
+        }
+
+        return combined;
+    }
+
+    /**
+     * Reflection across a world plane through the model's centre, or across the fitted
+     * symmetry plane of the model
+     * @param {string} plane - 'xy' | 'yz' | 'xz' | 'fitted'
+     * @param {THREE.Vector3} selectionCenter - Breaks ties between equally good fitted planes
+     * @returns {THREE.Matrix4}
+     */
+    buildMirrorMatrix(plane, selectionCenter) {
+        let normal;
+        const point = new THREE.Vector3();
+        if (plane === 'fitted') {
+            const fitted = this.fitSymmetryPlane(selectionCenter);
+            normal = fitted.normal;
+            point.copy(fitted.point);
+        } else {
+            const normals = { xy: [0, 0, 1], yz: [1, 0, 0], xz: [0, 1, 0] };
+            if (!normals[plane]) throw new Error(`Unknown mirror plane "${plane}"`);
+            normal = new THREE.Vector3(...normals[plane]);
+            this.app.mesh.geometry.computeBoundingBox();
+            this.app.mesh.geometry.boundingBox.getCenter(point);
+            this.app.log(`✔ Mirror plane ${plane.toUpperCase()} through (${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`);
+        }
+
+        // x' = x - 2 (n·x - d) n
+        const { x, y, z } = normal;
+        const d2 = 2 * normal.dot(point);
+        return new THREE.Matrix4().set(
+            1 - 2 * x * x, -2 * x * y, -2 * x * z, d2 * x,
+            -2 * x * y, 1 - 2 * y * y, -2 * y * z, d2 * y,
+            -2 * x * z, -2 * y * z, 1 - 2 * z * z, d2 * z,
+            0, 0, 0, 1
+        );
+    }
+
+    /**
+     * Find the plane the model is most symmetric about. Candidates pass through the
+     * area-weighted centroid with the world axes and the principal axes as normals; each is
+     * scored by how far mirrored vertices land from the nearest real vertex. Among equally
+     * good planes (a box has three) the one farthest from the selection wins.
+     * @param {THREE.Vector3} selectionCenter - Centre of the faces to mirror
+     * @returns {Object} - {normal, point, error}
+     */
+    fitSymmetryPlane(selectionCenter = null) {
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const faceCount = positions.length / 9;
+
+        // Area-weighted centroid and covariance of the surface
+        const a = new THREE.Vector3(), b = new THREE.Vector3(), c = new THREE.Vector3();
+        const centroid = new THREE.Vector3();
+        const weighted = [];
+        let totalArea = 0;
+        for (let face = 0; face < faceCount; face++) {
+            a.fromArray(positions, face * 9);
+            b.fromArray(positions, face * 9 + 3);
+            c.fromArray(positions, face * 9 + 6);
+            const area = new THREE.Triangle(a, b, c).getArea();
+            const center = a.clone().add(b).add(c).divideScalar(3);
+            weighted.push({ center, area });
+            centroid.addScaledVector(center, area);
+            totalArea += area;
+        }
+        if (totalArea === 0) throw new Error('Mesh has no area to fit a symmetry plane to');
+        centroid.divideScalar(totalArea);
+
+        const covariance = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+        weighted.forEach(({ center, area }) => {
+            const d = center.clone().sub(centroid).toArray();
+            for (let i = 0; i < 3; i++) {
+                for (let j = 0; j < 3; j++) covariance[i][j] += d[i] * d[j] * area;
+            }
+        });
+
+        const candidates = [
+            new THREE.Vector3(1, 0, 0), new THREE.Vector3(0, 1, 0), new THREE.Vector3(0, 0, 1),
+            ...this.symmetricEigenvectors(covariance)
+        ];
+
+        // Vertex grid for nearest-vertex lookups
+        this.app.mesh.geometry.computeBoundingBox();
+        const diagonal = this.app.mesh.geometry.boundingBox.getSize(new THREE.Vector3()).length();
+        const cellSize = diagonal / 64;
+        const grid = new Map();
+        const cellKey = (x, y, z) => `${Math.floor(x / cellSize)},${Math.floor(y / cellSize)},${Math.floor(z / cellSize)}`;
+        for (let i = 0; i < positions.length; i += 3) {
+            const key = cellKey(positions[i], positions[i + 1], positions[i + 2]);
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(i);
+        }
+        const nearestDistance = (point) => {
+            const cx = Math.floor(point.x / cellSize), cy = Math.floor(point.y / cellSize), cz = Math.floor(point.z / cellSize);
+            let best = cellSize;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(i => {
+                            best = Math.min(best, Math.hypot(positions[i] - point.x, positions[i + 1] - point.y, positions[i + 2] - point.z));
+                        });
+                    }
+                }
+            }
+            return best;
+        };
+
+        const vertexCount = positions.length / 3;
+        const stride = Math.max(1, Math.floor(vertexCount / 2000));
+        const scored = candidates.map(normal => {
+            const offset = normal.dot(centroid);
+            const mirrored = new THREE.Vector3();
+            let error = 0, samples = 0;
+            for (let v = 0; v < vertexCount; v += stride) {
+                mirrored.fromArray(positions, v * 3);
+                mirrored.addScaledVector(normal, -2 * (normal.dot(mirrored) - offset));
+                error += nearestDistance(mirrored);
+                samples++;
+            }
+            return { normal: normal.clone(), point: centroid.clone(), error: error / samples };
+        });
+
+        const lowest = Math.min(...scored.map(plane => plane.error));
+        const separation = (plane) => selectionCenter ? Math.abs(plane.normal.dot(selectionCenter) - plane.normal.dot(centroid)) : 0;
+        const best = scored
+            .filter(plane => plane.error <= lowest + diagonal * 1e-4)
+            .reduce((a, b) => separation(b) > separation(a) + 1e-6 ? b : a);
+
+        const n = best.normal;
+        this.app.log(`✔ Fitted symmetry plane: normal (${n.x.toFixed(3)}, ${n.y.toFixed(3)}, ${n.z.toFixed(3)}) through (${centroid.x.toFixed(2)}, ${centroid.y.toFixed(2)}, ${centroid.z.toFixed(2)}), mean error ${best.error.toFixed(4)}`);
+        if (best.error > diagonal * 0.01) {
+            this.app.log('⚠️ The model is not clearly symmetric, check the mirrored preview');
+        }
+        return best;
+    }
+
+    /**
+     * Eigenvectors of a symmetric 3x3 matrix by Jacobi rotations
+     * @param {Array<Array<number>>} matrix - Symmetric matrix (not modified)
+     * @returns {Array<THREE.Vector3>} - Unit eigenvectors
+     */
+    symmetricEigenvectors(matrix) {
+        const m = matrix.map(row => row.slice());
+        const v = [[1, 0, 0], [0, 1, 0], [0, 0, 1]];
+
+        for (let sweep = 0; sweep < 50; sweep++) {
+            const offDiagonal = Math.abs(m[0][1]) + Math.abs(m[0][2]) + Math.abs(m[1][2]);
+            if (offDiagonal < 1e-12 * (Math.abs(m[0][0]) + Math.abs(m[1][1]) + Math.abs(m[2][2]) + 1e-30)) break;
+
+            for (const [p, q] of [[0, 1], [0, 2], [1, 2]]) {
+                if (Math.abs(m[p][q]) < 1e-30) continue;
+                const theta = (m[q][q] - m[p][p]) / (2 * m[p][q]);
+                const t = Math.sign(theta || 1) / (Math.abs(theta) + Math.sqrt(theta * theta + 1));
+                const cos = 1 / Math.sqrt(t * t + 1);
+                const sin = t * cos;
+                for (let k = 0; k < 3; k++) {
+                    const mkp = m[k][p], mkq = m[k][q];
+                    m[k][p] = cos * mkp - sin * mkq;
+                    m[k][q] = sin * mkp + cos * mkq;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const mpk = m[p][k], mqk = m[q][k];
+                    m[p][k] = cos * mpk - sin * mqk;
+                    m[q][k] = sin * mpk + cos * mqk;
+                }
+                for (let k = 0; k < 3; k++) {
+                    const vkp = v[k][p], vkq = v[k][q];
+                    v[k][p] = cos * vkp - sin * vkq;
+                    v[k][q] = sin * vkp + cos * vkq;
+                }
+            }
+        }
+
+        return [0, 1, 2].map(col => new THREE.Vector3(v[0][col], v[1][col], v[2][col]).normalize());
+    }
+
+    /**
+     * Find the mesh faces covering the given faces moved by a transform. A face counts when
+     * its centroid lies on a transformed triangle, so a differently triangulated copy of the
+     * region still matches as long as the covered area is the same and its outline has the
+     * same vertices as the transformed selection's outline.
+     * @param {Array<number>} faceIndices - Faces to transform
+     * @param {THREE.Matrix4} matrix - Transform to apply
+     * @param {Set<number>} excluded - Faces that can't be matched (already in use)
+     * @param {number} tolerance - Distance tolerance
+     * @returns {Array<number>|null} - Matching faces, or null if the region isn't covered exactly
+     */
+    findTransformedFaces(faceIndices, matrix, excluded, tolerance) {
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const corner = (face, k) => new THREE.Vector3(positions[face * 9 + k * 3], positions[face * 9 + k * 3 + 1], positions[face * 9 + k * 3 + 2]);
+
+        const bounds = new THREE.Box3();
+        let targetArea = 0;
+        const triangles = faceIndices.map(face => {
+            const triangle = new THREE.Triangle(corner(face, 0), corner(face, 1), corner(face, 2));
+            [triangle.a, triangle.b, triangle.c].forEach(point => bounds.expandByPoint(point.applyMatrix4(matrix)));
+            targetArea += triangle.getArea();
+            return triangle;
+        });
+        bounds.expandByScalar(tolerance);
+
+        const matches = [];
+        let matchedArea = 0;
+        const centroid = new THREE.Vector3();
+        const closest = new THREE.Vector3();
+        const faceCount = positions.length / 9;
+        for (let face = 0; face < faceCount; face++) {
+            if (excluded.has(face)) continue;
+            const triangle = new THREE.Triangle(corner(face, 0), corner(face, 1), corner(face, 2));
+            if (!bounds.containsPoint(triangle.a) || !bounds.containsPoint(triangle.b) || !bounds.containsPoint(triangle.c)) continue;
+
+            triangle.getMidpoint(centroid);
+            const covered = triangles.some(target => target.closestPointToPoint(centroid, closest).distanceTo(centroid) < tolerance);
+            if (covered) {
+                matches.push(face);
+                matchedArea += triangle.getArea();
+            }
+        }
+
+        if (matches.length === 0 || Math.abs(matchedArea - targetArea) > Math.max(targetArea * 0.001, tolerance * tolerance)) {
+            return null;
+        }
+
+        // The copy's walls start on the transformed selection boundary, so the hole the matched
+        // faces leave must have exactly those vertices; a differently split outline would crack
+        const expected = this.regionBoundaryPoints(faceIndices).map(point => point.applyMatrix4(matrix));
+        const actual = this.regionBoundaryPoints(matches);
+        const nearestActual = this.buildPointLookup(actual, tolerance);
+        if (expected.length !== actual.length || expected.some(point => !nearestActual(point))) {
+            return null;
+        }
+        return matches;
+    }
+
+    /**
+     * Vertices on the outline of a set of mesh faces (edges used by only one of them)
+     * @param {Array<number>} faces - Face indices of the current mesh
+     * @returns {Array<THREE.Vector3>} - One point per outline vertex
+     */
+    regionBoundaryPoints(faces) {
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const vertexKey = (i) => GeometryUtils.vertexKey(positions[i], positions[i + 1], positions[i + 2]);
+        const points = new Map();
+        const edgeCounts = new Map();
+
+        faces.forEach(face => {
+            const keys = [0, 1, 2].map(k => {
+                const key = vertexKey(face * 9 + k * 3);
+                if (!points.has(key)) points.set(key, new THREE.Vector3().fromArray(positions, face * 9 + k * 3));
+                return key;
+            });
+            for (let e = 0; e < 3; e++) {
+                const [a, b] = [keys[e], keys[(e + 1) % 3]];
+                const edge = a < b ? `${a}|${b}` : `${b}|${a}`;
+                edgeCounts.set(edge, (edgeCounts.get(edge) || 0) + 1);
+            }
+        });
+
+        const outline = new Set();
+        edgeCounts.forEach((count, edge) => {
+            if (count === 1) edge.split('|').forEach(key => outline.add(key));
+        });
+        return [...outline].map(key => points.get(key));
+    }
+
+    /**
+     * Index points for nearest-point queries within a tolerance. Cells are one tolerance wide,
+     * so a match is always in the query's cell or a neighbour; a rounded key alone would miss
+     * points that round the other way
+     * @param {Array<THREE.Vector3>} points - Points to index
+     * @param {number} tolerance - Largest distance that counts as a match
+     * @returns {Function} - (point) => nearest indexed point within tolerance, or null
+     */
+    buildPointLookup(points, tolerance) {
+        const cell = (value) => Math.floor(value / tolerance);
+        const grid = new Map();
+        points.forEach(point => {
+            const key = `${cell(point.x)},${cell(point.y)},${cell(point.z)}`;
+            if (!grid.has(key)) grid.set(key, []);
+            grid.get(key).push(point);
+        });
+
+        return (point) => {
+            const cx = cell(point.x), cy = cell(point.y), cz = cell(point.z);
+            let nearest = null;
+            let nearestDistance = tolerance;
+            for (let dx = -1; dx <= 1; dx++) {
+                for (let dy = -1; dy <= 1; dy++) {
+                    for (let dz = -1; dz <= 1; dz++) {
+                        (grid.get(`${cx + dx},${cy + dy},${cz + dz}`) || []).forEach(candidate => {
+                            const distance = candidate.distanceTo(point);
+                            if (distance < nearestDistance) {
+                                nearest = candidate;
+                                nearestDistance = distance;
+                            }
+                        });
+                    }
+                }
+            }
+            return nearest;
+        };
+    }
+
+    /**
+     * Concatenate geometries into one non-indexed geometry
+     * @param {Array<THREE.BufferGeometry>} geometries - Geometries to combine
+     * @returns {THREE.BufferGeometry} - Combined geometry
+     */
+    combineGeometries(geometries) {
+        // Copy into one preallocated array; spreading large arrays into push() overflows the stack
+        const arrays = geometries.map(geometry => (geometry.index ? geometry.toNonIndexed() : geometry).attributes.position.array);
+        const positions = new Float32Array(arrays.reduce((length, array) => length + array.length, 0));
+        let offset = 0;
+        arrays.forEach(array => {
+            positions.set(array, offset);
+            offset += array.length;
+        });
+        const combined = new THREE.BufferGeometry();
+        combined.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+        combined.computeVertexNormals();
+        return combined;
+    }
+
+    /**
+     * Split faces into islands connected through shared edges
+     * @param {Set<number>|Array<number>} faceIndices - Faces of the current mesh
+     * @returns {Array<Array<number>>} - Face indices of each island
+     */
+    findSelectionIslands(faceIndices) {
+        const positions = this.app.mesh.geometry.attributes.position.array;
+        const faces = [...faceIndices];
+        const parent = new Map(faces.map(face => [face, face]));
+        const find = (face) => {
+            while (parent.get(face) !== face) {
+                parent.set(face, parent.get(parent.get(face)));
+                face = parent.get(face);
+            }
+            return face;
+        };
+
+        const edgeOwner = new Map();
+        faces.forEach(face => {
+            const corners = [0, 1, 2].map(k => Array.from(positions.slice(face * 9 + k * 3, face * 9 + k * 3 + 3)));
+            for (let e = 0; e < 3; e++) {
+                const key = this.makeEdgeKey(corners[e], corners[(e + 1) % 3]);
+                if (edgeOwner.has(key)) {
+                    parent.set(find(face), find(edgeOwner.get(key)));
+                } else {
+                    edgeOwner.set(key, face);
+                }
+            }
+        });
+
+        const islands = new Map();
+        faces.forEach(face => {
+            const root = find(face);
+            if (!islands.has(root)) islands.set(root, []);
+            islands.get(root).push(face);
+        });
+
+        return [...islands.values()];
+    }
+
     extractSelectedFaces() {
+        return this.extractFaces(this.app.selectedFaces);
+    }
+
+    extractFaces(faceIndices) {
         const positions = this.app.mesh.geometry.attributes.position.array;
         const selectedPositions = [];
         
-        this.app.selectedFaces.forEach(faceIndex => {
+        faceIndices.forEach(faceIndex => {
             const i = faceIndex * 9;
             for (let j = 0; j < 9; j++) {
                 selectedPositions.push(positions[i + j]);
@@ -195,6 +886,480 @@ class PipeGenerator {
         return geometry;
     }
     
+	/**
+	 * Revolve (lathe) the selected profile around an axis. The axis lies the radius away
+	 * from the selection's centroid, on the side that makes the sweep leave the surface
+	 * along the face normal. Each step is a ring of generatePipeWithWaypoints driven by
+	 * one control point per step. A partial sweep is capped like an extrusion; a full turn
+	 * closes on itself and can't share the seam with both ends, so it comes back as a
+	 * closed tool for a boolean union instead.
+	 * @param {Object} params - Extrusion parameters with params.revolve {axis, radius, angle, steps}
+	 *                          (axis: 'local-x' | 'local-y' in the face plane, or world 'x' | 'y' | 'z')
+	 * @param {boolean} isPreview - Whether this is a preview
+	 * @returns {Object|null} - {pipe, endFace, waypoints} like generatePipe; a full turn has
+	 *                          no endFace and adds unionTool
+	 */
+	generateRevolve(params, isPreview = false) {
+		if (this.app.selectedFaces.size === 0) {
+			return null;
+		}
+
+		try {
+			const revolve = params.revolve;
+			if (this.findSelectionIslands(this.app.selectedFaces).length > 1) {
+				throw new Error('Revolve needs one connected selection');
+			}
+
+			const selectedGeometry = this.extractSelectedFaces();
+			const boundary = this.resolveBoundary(selectedGeometry);
+			if (!boundary || boundary.loops.length === 0) {
+				throw new Error('No boundary found for the selection');
+			}
+
+			const centroid = this.calculateCentroid(selectedGeometry);
+			const normal = this.calculateAverageNormal(selectedGeometry);
+			const { localX, localY, localZ } = this.buildLocalFrame(normal);
+
+			const axes = {
+				'local-x': localX,
+				'local-y': localY,
+				x: new THREE.Vector3(1, 0, 0),
+				y: new THREE.Vector3(0, 1, 0),
+				z: new THREE.Vector3(0, 0, 1)
+			};
+			if (!axes[revolve.axis]) {
+				throw new Error(`Unknown revolve axis "${revolve.axis}"`);
+			}
+			const axis = axes[revolve.axis].clone().normalize();
+			const side = new THREE.Vector3().crossVectors(axis, normal);
+			if (side.length() < 0.1) {
+				throw new Error('Revolve axis runs along the face normal, the profile would only spin in place');
+			}
+			side.normalize();
+
+			const radius = revolve.radius || 0;
+			const angle = Math.min(Math.abs(revolve.angle || 0), 360);
+			if (radius === 0) {
+				throw new Error('Revolve radius must not be 0');
+			}
+			if (angle === 0) {
+				throw new Error('Revolve angle must be greater than 0');
+			}
+			const closed = angle === 360;
+			const steps = Math.max(Math.round(revolve.steps) || 0, closed ? 3 : 1);
+
+			// The axis sits on the side of the selection given by the radius sign; turning that
+			// way round moves the centroid off the surface along the normal
+			const pivot = centroid.clone().addScaledVector(side, radius);
+			const direction = Math.sign(radius);
+			const crossesAxis = boundary.loops.some(loop => loop.some(point =>
+				point.clone().sub(pivot).dot(side) * direction > 1e-6));
+			if (crossesAxis) {
+				this.app.log('⚠️ The profile reaches across the revolve axis, the sweep will intersect itself');
+			}
+
+			if (params.cut || this.app.waypoints.length > 0) {
+				this.app.log('⚠️ Revolve ignores cut mode, waypoints and the end transform');
+			}
+			let wallThickness = params.wallThickness || 0;
+			if (closed && wallThickness > 0) {
+				this.app.log('⚠️ A full turn closes on itself, wall thickness is ignored');
+				wallThickness = 0;
+			}
+
+			// One control point per step: the rotation about the axis, and the translation that
+			// carries the centroid round the pivot
+			const controlPoints = [];
+			for (let i = 0; i <= steps; i++) {
+				const orientation = new THREE.Quaternion().setFromAxisAngle(axis, direction * THREE.MathUtils.degToRad(angle) * i / steps);
+				const translation = centroid.clone().sub(pivot).applyQuaternion(orientation).add(pivot).sub(centroid);
+				controlPoints.push({
+					t: i / steps,
+					length: 0,
+					offsetX: translation.x, offsetY: translation.y, offsetZ: translation.z,
+					scaleX: 1, scaleY: 1,
+					orientation
+				});
+			}
+			this.app.log(`✔ Revolving ${angle}° in ${steps} steps around ${revolve.axis.toUpperCase()} axis through (${pivot.x.toFixed(2)}, ${pivot.y.toFixed(2)}, ${pivot.z.toFixed(2)})`);
+
+			const pipeResult = this.generatePipeWithWaypoints(
+				boundary, centroid, normal, controlPoints, steps, 0,
+				localX, localY, localZ, 0,
+				{
+					interpolation: 'linear',
+					wallThickness,
+					resampleCount: params.resamplePoints || 0,
+					faceNormal: normal
+				}
+			);
+			const pipeGeometry = pipeResult.geometry;
+
+			const pipeMaterial = new THREE.MeshPhongMaterial({
+				color: isPreview ? 0x00ff00 : 0x87CEEB,
+				transparent: isPreview,
+				opacity: isPreview ? 0.4 : 1.0,
+				side: THREE.DoubleSide,
+				wireframe: isPreview
+			});
+			const pipeMesh = new THREE.Mesh(pipeGeometry, pipeMaterial);
+
+			// Rings and caps reach the same points through different rounding; pin the vertices
+			// of a geometry that should coincide with ring points exactly onto them
+			const snapToRings = (geometry, rings) => {
+				const nearestRingPoint = this.buildPointLookup(rings.flat(), 1e-4);
+				const attribute = geometry.attributes.position;
+				const vertex = new THREE.Vector3();
+				for (let i = 0; i < attribute.count; i++) {
+					vertex.fromBufferAttribute(attribute, i);
+					const match = nearestRingPoint(vertex);
+					if (match) attribute.setXYZ(i, match.x, match.y, match.z);
+				}
+				attribute.needsUpdate = true;
+				return geometry;
+			};
+
+			if (closed) {
+				// Put the last ring exactly on the first so the ring is a closed solid
+				snapToRings(pipeGeometry, pipeResult.firstRings);
+				this.app.log('  Full turn: closed ring, merged with a boolean union');
+
+				return isPreview
+					? { pipe: pipeMesh, endFace: null, waypoints: [] }
+					: { pipe: pipeMesh, endFace: null, unionTool: new THREE.Mesh(pipeGeometry, pipeMaterial) };
+			}
+
+			const last = controlPoints[controlPoints.length - 1];
+			const endParams = { ...last, length: 0 };
+			const capStyle = params.endCapStyle || 'flat';
+			let endFaceGeometry = null;
+			if (wallThickness > 0) {
+				endFaceGeometry = this.createAnnularCap(pipeResult.finalRings, pipeResult.finalInnerRings);
+			} else if (capStyle !== 'flat') {
+				endFaceGeometry = this.createStyledEndCap(pipeResult.finalRings, capStyle, params.endCapSize || 2);
+			}
+			if (!endFaceGeometry) {
+				endFaceGeometry = snapToRings(
+					this.createTransformedFace(selectedGeometry, centroid, normal, endParams, 1.0, localX, localY, localZ),
+					pipeResult.finalRings
+				);
+			}
+
+			const endFaceMaterial = new THREE.MeshPhongMaterial({
+				color: isPreview ? 0xff00ff : 0x87CEEB,
+				transparent: isPreview,
+				opacity: isPreview ? 0.8 : 1.0,
+				side: THREE.DoubleSide
+			});
+			const endFaceMesh = new THREE.Mesh(endFaceGeometry, endFaceMaterial);
+
+			return isPreview
+				? { pipe: pipeMesh, endFace: endFaceMesh, waypoints: [] }
+				: { pipe: pipeMesh, endFace: endFaceMesh };
+
+		} catch (error) {
+			this.app.log(`✗ Revolve error: ${error.message}`);
+			console.error(error);
+			return null;
+		}
+	}
+
+	/**
+	 * Build a tube connecting the current selection (start) to the bridge target selection
+	 * The centre line is a Hermite curve that leaves the start face along its normal and
+	 * enters the target face against its normal. Both seams keep the exact boundary
+	 * vertices so they weld to the mesh; loops with different vertex counts are zipped
+	 * onto intermediate rings resampled by arc length.
+	 * @param {Object} params - Extrusion parameters (uses segments)
+	 * @param {boolean} isPreview - Whether this is a preview
+	 * @returns {Object|null} - {pipe, endFace, waypoints} like generatePipe
+	 */
+	generateBridge(params, isPreview = false) {
+		const targetFaces = this.app.bridgeTargetFaces;
+		if (this.app.selectedFaces.size === 0 || !targetFaces || targetFaces.size === 0) {
+			return null;
+		}
+
+		try {
+			if ([...this.app.selectedFaces].some(faceIndex => targetFaces.has(faceIndex))) {
+				throw new Error('Start and target selections overlap');
+			}
+
+			const start = this.describeBridgeEnd(this.app.selectedFaces, 'start');
+			const target = this.describeBridgeEnd(targetFaces, 'target');
+
+			const span = start.centroid.distanceTo(target.centroid);
+			if (span < 1e-6) {
+				throw new Error('Start and target selections are at the same position');
+			}
+
+			// Hermite centre line: tangents along the start normal and against the target normal
+			const startTangent = start.normal.clone().multiplyScalar(span);
+			const endTangent = target.normal.clone().multiplyScalar(-span);
+			const pointAt = (t) => {
+				const t2 = t * t, t3 = t2 * t;
+				return new THREE.Vector3()
+					.addScaledVector(start.centroid, 2 * t3 - 3 * t2 + 1)
+					.addScaledVector(startTangent, t3 - 2 * t2 + t)
+					.addScaledVector(target.centroid, -2 * t3 + 3 * t2)
+					.addScaledVector(endTangent, t3 - t2);
+			};
+			const tangentAt = (t) => {
+				const t2 = t * t;
+				return new THREE.Vector3()
+					.addScaledVector(start.centroid, 6 * t2 - 6 * t)
+					.addScaledVector(startTangent, 3 * t2 - 4 * t + 1)
+					.addScaledVector(target.centroid, -6 * t2 + 6 * t)
+					.addScaledVector(endTangent, 3 * t2 - 2 * t);
+			};
+
+			// Parallel-transport frames so the cross-section doesn't twist along the bridge
+			const segments = Math.max(params.segments || 20, 2);
+			const frames = [];
+			const frame = new THREE.Quaternion();
+			let previousTangent = start.normal.clone();
+			for (let seg = 0; seg <= segments; seg++) {
+				const tangent = tangentAt(seg / segments);
+				if (tangent.lengthSq() > 1e-12) {
+					tangent.normalize();
+					frame.premultiply(new THREE.Quaternion().setFromUnitVectors(previousTangent, tangent));
+					previousTangent = tangent;
+				}
+				frames.push(frame.clone());
+			}
+
+			// Express both loops relative to their centroids in the start frame
+			const toStartFrame = frames[segments].clone().invert();
+			const startLocal = start.loop.map(p => p.clone().sub(start.centroid));
+			const targetLocal = target.loop.map(p => p.clone().sub(target.centroid).applyQuaternion(toStartFrame));
+
+			const startParams = this.loopArcLengthParams(startLocal);
+			const targetParams = this.loopArcLengthParams(targetLocal);
+
+			// Pick the target vertex that best lines up with the start of the start loop
+			const targetStart = this.alignLoopStart(startLocal, startParams, targetLocal, targetParams);
+			const shift = targetParams[targetStart];
+			const n = target.loop.length;
+			const targetRing = target.loop.map((_, i) => target.loop[(i + targetStart) % n]);
+			const targetRingParams = targetRing.map((_, i) => {
+				const u = targetParams[(i + targetStart) % n] - shift;
+				return u < 0 ? u + 1 : u;
+			});
+
+			// Intermediate rings share one resolution and blend the two outlines
+			const resolution = params.resamplePoints > 0
+				? params.resamplePoints
+				: Math.max(start.loop.length, target.loop.length);
+			const uniformParams = Array.from({ length: resolution }, (_, i) => i / resolution);
+			const startSamples = uniformParams.map(u => this.sampleLoop(startLocal, startParams, u));
+			const targetSamples = uniformParams.map(u => this.sampleLoop(targetLocal, targetParams, (u + shift) % 1));
+
+			const rings = [];
+			for (let seg = 1; seg < segments; seg++) {
+				const t = seg / segments;
+				const centre = pointAt(t);
+				rings.push(startSamples.map((a, i) => a.clone().lerp(targetSamples[i], t)
+					.applyQuaternion(frames[seg]).add(centre)));
+			}
+
+			const positions = [];
+			const indices = [];
+
+			// Start seam -> first intermediate ring
+			this.zipRings(start.loop, startParams, rings[0], uniformParams, positions, indices);
+
+			// Intermediate rings: same quads as the extrusion walls
+			const firstRingStart = positions.length / 3;
+			rings.forEach(ring => ring.forEach(p => positions.push(p.x, p.y, p.z)));
+			for (let r = 0; r < rings.length - 1; r++) {
+				const ring1Start = firstRingStart + r * resolution;
+				const ring2Start = ring1Start + resolution;
+				for (let i = 0; i < resolution; i++) {
+					const next = (i + 1) % resolution;
+					indices.push(ring1Start + i, ring1Start + next, ring2Start + i);
+					indices.push(ring1Start + next, ring2Start + next, ring2Start + i);
+				}
+			}
+
+			// Last intermediate ring -> target seam
+			this.zipRings(rings[rings.length - 1], uniformParams, targetRing, targetRingParams, positions, indices);
+
+			const geometry = new THREE.BufferGeometry();
+			geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+			geometry.setIndex(indices);
+			geometry.computeVertexNormals();
+
+			this.app.log(`✔ Bridge created: ${start.loop.length} → ${target.loop.length} boundary vertices, ${indices.length / 3} faces`);
+
+			const material = new THREE.MeshPhongMaterial({
+				color: isPreview ? 0x00ff00 : 0x87CEEB,
+				transparent: isPreview,
+				opacity: isPreview ? 0.4 : 1.0,
+				side: THREE.DoubleSide,
+				wireframe: isPreview
+			});
+
+			return {
+				pipe: new THREE.Mesh(geometry, material),
+				endFace: null,
+				waypoints: []
+			};
+		} catch (error) {
+			this.app.log(`✗ Bridge generation error: ${error.message}`);
+			console.error(error);
+			return null;
+		}
+	}
+
+	/**
+	 * Boundary loop, centroid and outward normal of one end of a bridge
+	 * The loop is wound CCW looking along the direction the bridge travels through it.
+	 */
+	describeBridgeEnd(faceIndices, label) {
+		const geometry = this.extractFaces(faceIndices);
+		const boundary = this.extractBoundaryFromGeometry(geometry);
+		if (!boundary || boundary.loops.length !== 1) {
+			throw new Error(`The ${label} selection must have exactly one boundary loop (found ${boundary ? boundary.loops.length : 0})`);
+		}
+
+		const centroid = this.calculateCentroid(geometry);
+		const normal = this.calculateAverageNormal(geometry);
+
+		// The bridge leaves the start along its normal and enters the target against it
+		const travel = label === 'start' ? normal : normal.clone().negate();
+		const loop = this.normalizeLoopWindingDirection(boundary.loops[0], travel, false);
+
+		return { loop, centroid, normal };
+	}
+
+	/**
+	 * Normalized arc-length position (0..1) of every vertex of a closed loop
+	 */
+	loopArcLengthParams(loop) {
+		const lengths = [0];
+		for (let i = 1; i < loop.length; i++) {
+			lengths.push(lengths[i - 1] + loop[i].distanceTo(loop[i - 1]));
+		}
+		const total = lengths[loop.length - 1] + loop[0].distanceTo(loop[loop.length - 1]);
+		return lengths.map(length => total > 0 ? length / total : 0);
+	}
+
+	/**
+	 * Point on a closed loop at arc-length position u (0..1)
+	 */
+	sampleLoop(loop, params, u) {
+		const n = loop.length;
+		let i = n - 1;
+		while (i > 0 && params[i] > u) i--;
+
+		const u0 = params[i];
+		const u1 = i + 1 < n ? params[i + 1] : 1;
+		const localT = u1 > u0 ? (u - u0) / (u1 - u0) : 0;
+		return loop[i].clone().lerp(loop[(i + 1) % n], localT);
+	}
+
+	/**
+	 * Index of the target vertex that, used as the loop start, best matches the start loop
+	 * Compares a fixed number of arc-length samples of both loops (in the same local frame).
+	 */
+	alignLoopStart(startLoop, startParams, targetLoop, targetParams, samples = 32) {
+		const startSamples = [];
+		for (let s = 0; s < samples; s++) {
+			startSamples.push(this.sampleLoop(startLoop, startParams, s / samples));
+		}
+
+		let bestIndex = 0;
+		let bestCost = Infinity;
+		targetParams.forEach((shift, index) => {
+			let cost = 0;
+			for (let s = 0; s < samples && cost < bestCost; s++) {
+				const u = (s / samples + shift) % 1;
+				cost += this.sampleLoop(targetLoop, targetParams, u).distanceToSquared(startSamples[s]);
+			}
+			if (cost < bestCost) {
+				bestCost = cost;
+				bestIndex = index;
+			}
+		});
+
+		return bestIndex;
+	}
+
+	/**
+	 * Redistribute a closed loop to evenly spaced points by arc length
+	 * Sharp corners (turning more than cornerAngle degrees) and vertex 0 are kept exactly;
+	 * the points are shared between the spans between them in proportion to span length.
+	 * @param {Array<THREE.Vector3>} loop - Closed loop
+	 * @param {number} count - Target number of points (raised to the number of corners if lower)
+	 * @param {number} cornerAngle - Turning angle in degrees above which a vertex is a corner
+	 * @returns {Object} - {points, params} with each point's arc-length position on the original loop
+	 */
+	resampleLoop(loop, count, cornerAngle = 30) {
+		const n = loop.length;
+		const loopParams = this.loopArcLengthParams(loop);
+		const cosLimit = Math.cos(THREE.MathUtils.degToRad(cornerAngle));
+
+		const breaks = [];
+		for (let i = 0; i < n; i++) {
+			const incoming = new THREE.Vector3().subVectors(loop[i], loop[(i - 1 + n) % n]).normalize();
+			const outgoing = new THREE.Vector3().subVectors(loop[(i + 1) % n], loop[i]).normalize();
+			if (i === 0 || incoming.dot(outgoing) < cosLimit) breaks.push(i);
+		}
+
+		// Largest-remainder split of the points over the spans, at least one segment each
+		const spanLengths = breaks.map((b, k) => (k + 1 < breaks.length ? loopParams[breaks[k + 1]] : 1) - loopParams[b]);
+		const total = Math.max(count, breaks.length);
+		const exact = spanLengths.map(length => length * total);
+		const counts = exact.map(x => Math.max(1, Math.floor(x)));
+		let remaining = total - counts.reduce((sum, c) => sum + c, 0);
+		const byRemainder = exact.map((_, k) => k).sort((a, b) => (exact[b] % 1) - (exact[a] % 1));
+		for (let k = 0; remaining > 0; k = (k + 1) % byRemainder.length, remaining--) {
+			counts[byRemainder[k]]++;
+		}
+
+		const points = [];
+		const params = [];
+		breaks.forEach((b, k) => {
+			for (let step = 0; step < counts[k]; step++) {
+				const u = loopParams[b] + spanLengths[k] * step / counts[k];
+				params.push(u);
+				points.push(step === 0 ? loop[b].clone() : this.sampleLoop(loop, loopParams, u));
+			}
+		});
+
+		return { points, params };
+	}
+
+	/**
+	 * Triangulate the band between two closed rings with different vertex counts
+	 * Walks both rings by arc-length position, always advancing the ring whose next vertex
+	 * comes first. Both rings must start at position 0 and wind the same way; the winding
+	 * matches the extrusion walls with ringA as the earlier ring (reversed when flip is set).
+	 */
+	zipRings(ringA, paramsA, ringB, paramsB, positions, indices, flip = false) {
+		const m = ringA.length;
+		const n = ringB.length;
+		const aStart = positions.length / 3;
+		ringA.forEach(p => positions.push(p.x, p.y, p.z));
+		const bStart = positions.length / 3;
+		ringB.forEach(p => positions.push(p.x, p.y, p.z));
+
+		let i = 0, j = 0;
+		while (i < m || j < n) {
+			const nextA = i < m ? (i + 1 < m ? paramsA[i + 1] : 1) : Infinity;
+			const nextB = j < n ? (j + 1 < n ? paramsB[j + 1] : 1) : Infinity;
+			let triangle;
+			if (nextA <= nextB) {
+				triangle = [aStart + i % m, aStart + (i + 1) % m, bStart + j % n];
+				i++;
+			} else {
+				triangle = [aStart + i % m, bStart + (j + 1) % n, bStart + j % n];
+				j++;
+			}
+			indices.push(...(flip ? triangle.reverse() : triangle));
+		}
+	}
+
     extractBoundary() {
         const selectedGeometry = this.extractSelectedFaces();
         return this.extractBoundaryFromGeometry(selectedGeometry);
@@ -352,7 +1517,70 @@ class PipeGenerator {
         return normal;
     }
     
-    buildControlPoints(params) {
+    /**
+     * Direction to extrude along, from params.directionMode: 'normal' (average face normal),
+     * 'nearest-axis', 'x', 'y', 'z', 'view' (toward the camera) or 'custom'
+     * (params.directionX/Y/Z). Turned if needed so it leaves the front of the faces.
+     * @param {Object} params - Extrusion parameters
+     * @param {THREE.Vector3} faceNormal - Average normal of the selected faces
+     * @param {boolean} isPreview - Skip the log line (previews rebuild on every input)
+     * @returns {THREE.Vector3} - Unit direction
+     */
+    resolveExtrusionDirection(params, faceNormal, isPreview = false) {
+        const mode = params.directionMode || 'normal';
+        let direction;
+
+        switch (mode) {
+            case 'normal':
+                return faceNormal.clone();
+            case 'nearest-axis': {
+                const components = [Math.abs(faceNormal.x), Math.abs(faceNormal.y), Math.abs(faceNormal.z)];
+                const axis = components.indexOf(Math.max(...components));
+                direction = new THREE.Vector3().setComponent(axis, 1);
+                break;
+            }
+            case 'x':
+                direction = new THREE.Vector3(1, 0, 0);
+                break;
+            case 'y':
+                direction = new THREE.Vector3(0, 1, 0);
+                break;
+            case 'z':
+                direction = new THREE.Vector3(0, 0, 1);
+                break;
+            case 'view':
+                if (!this.app.camera) {
+                    throw new Error('No camera available for the view direction');
+                }
+                direction = this.app.camera.getWorldDirection(new THREE.Vector3()).negate();
+                break;
+            case 'custom':
+                direction = new THREE.Vector3(params.directionX || 0, params.directionY || 0, params.directionZ || 0);
+                if (direction.lengthSq() < 1e-12) {
+                    throw new Error('Custom extrusion direction must not be zero');
+                }
+                break;
+            default:
+                throw new Error(`Unknown extrusion direction: ${mode}`);
+        }
+
+        direction.normalize();
+        if (direction.dot(faceNormal) < 0) {
+            direction.negate();
+        }
+        if (direction.dot(faceNormal) < 0.1) {
+            throw new Error('Extrusion direction is almost parallel to the selected faces');
+        }
+
+        if (!isPreview) {
+            const tilt = THREE.MathUtils.radToDeg(direction.angleTo(faceNormal));
+            this.app.log(`  Extrusion direction (${mode}): (${direction.x.toFixed(3)}, ${direction.y.toFixed(3)}, ${direction.z.toFixed(3)}), ${tilt.toFixed(1)}° from the face normal`);
+        }
+
+        return direction;
+    }
+
+    buildControlPoints(params, waypoints = this.app.waypoints) {
         const controlPoints = [];
         
         // Start point
@@ -365,8 +1593,9 @@ class PipeGenerator {
         });
         
         // Waypoints
-        this.app.waypoints.forEach(wp => {
-            const t = params.length > 0 ? wp.length / params.length : 0;
+        // Cut mode negates the length and every waypoint length, so the ratio stays the same
+        waypoints.forEach(wp => {
+            const t = params.length !== 0 ? wp.length / params.length : 0;
             controlPoints.push({ t, ...wp });
         });
         
@@ -377,10 +1606,34 @@ class PipeGenerator {
         });
         
         controlPoints.sort((a, b) => a.t - b.t);
+
+        // Store each orientation as a quaternion so rings can slerp between them
+        controlPoints.forEach((cp, idx) => {
+            cp.orientation = this.eulerToQuaternion(cp.rotX || 0, cp.rotY || 0, cp.rotZ || 0);
+
+            // Keep neighbours in the same hemisphere so interpolation takes the short way round
+            const previous = controlPoints[idx - 1];
+            if (previous && previous.orientation.dot(cp.orientation) < 0) {
+                const q = cp.orientation;
+                q.set(-q.x, -q.y, -q.z, -q.w);
+            }
+        });
         
         return controlPoints;
     }
 
+    /**
+     * Convert Euler angles in degrees (XYZ order, as shown in the UI) to a quaternion
+     */
+    eulerToQuaternion(rotX, rotY, rotZ) {
+        return new THREE.Quaternion().setFromEuler(new THREE.Euler(
+            THREE.MathUtils.degToRad(rotX),
+            THREE.MathUtils.degToRad(rotY),
+            THREE.MathUtils.degToRad(rotZ),
+            'XYZ'
+        ));
+    }
+
 /*	generatePipeWithWaypoints(boundary, centroid, normal, controlPoints, segments) {
 		const positions = [];
 		const indices = [];
@@ -473,92 +1726,108 @@ class PipeGenerator {
 	}*/
 	
 	
-	generatePipeWithWaypoints(boundary, centroid, normal, controlPoints, segments, finalSegmentSplit = 0, localX, localY, localZ, firstSegmentSplit = 0) {
+	generatePipeWithWaypoints(boundary, centroid, normal, controlPoints, segments, finalSegmentSplit = 0, localX, localY, localZ, firstSegmentSplit = 0, options = {}) {
+		const interpolation = options.interpolation || 'linear';
+		const wallThickness = options.wallThickness || 0;
+		const resampleCount = options.resampleCount || 0;
+		const twistAt = options.twistAt || null;
+		const surfaceDistance = options.surfaceDistance || null;
+		let endProfile = options.endProfile && options.endProfile.shape !== 'none' ? options.endProfile : null;
+
+		if (endProfile && boundary.loops.length > 1) {
+			this.app.log('⚠️ End profile needs a selection without holes, keeping the original shape');
+			endProfile = null;
+		}
+
+		// The morph changes the cross-section along a straight path too, which the adaptive
+		// comparison cannot see, so an end profile always gets the uniform ring count
+		let adaptive = options.ringSpacing === 'adaptive';
+		if (adaptive && endProfile) {
+			this.app.log('  End profile morph uses uniform ring spacing');
+			adaptive = false;
+		}
+
+		// Uniform spacing needs enough rings to follow the twist (at most 10° per ring)
+		if (twistAt && !adaptive) {
+			const twistSegments = Math.ceil(Math.abs(THREE.MathUtils.radToDeg(twistAt(1))) / 10);
+			if (twistSegments > segments) {
+				this.app.log(`  Twist needs ${twistSegments} segments (was ${segments})`);
+				segments = twistSegments;
+			}
+		}
 		const positions = [];
 		const indices = [];
 
 		// Arrays to store final and first rings for each loop (for watertight caps)
 		const finalRings = [];
 		const firstRings = [];
+		const finalInnerRings = [];  // Hollow tubes only: last ring of each inner wall
+
+		// Ring positions along the path are shared by every loop
+		let tValues;
+		if (adaptive) {
+			// Profile samples (every loop, thinned out) stand in for the whole cross-section
+			const allPoints = boundary.loops.flat();
+			const stride = Math.max(1, Math.floor(allPoints.length / 16));
+			const profile = allPoints.filter((_, i) => i % stride === 0).map(p => p.clone().sub(centroid));
+
+			tValues = this.buildAdaptiveRingTValues(controlPoints, normal, interpolation, profile, localX, localY, localZ, {
+				chordTolerance: options.chordTolerance,
+				angleTolerance: options.angleTolerance,
+				twistAt,
+				scaleProfile: options.scaleProfile,
+				firstSegmentSplit,
+				finalSegmentSplit
+			});
+			this.app.log(`  Adaptive ring spacing: ${tValues.length} rings (uniform spacing would use ${this.buildRingTValues(segments, firstSegmentSplit, finalSegmentSplit).length})`);
+		} else {
+			tValues = this.buildRingTValues(segments, firstSegmentSplit, finalSegmentSplit);
+		}
 
-		// First pass: determine which loop is the outer boundary (largest area)
-		const loopAreas = boundary.loops.map(loop => this.calculateLoopSignedArea(loop, normal));
-		const maxAreaIndex = loopAreas.indexOf(Math.max(...loopAreas.map(Math.abs)));
-
-		boundary.loops.forEach((loop, loopIndex) => {
-			const isOuterBoundary = (loopIndex === maxAreaIndex);
-			this.app.log(`  Processing loop ${loopIndex + 1}: ${loop.length} vertices ${isOuterBoundary ? '(OUTER)' : '(HOLE)'}`);
-
-			// NORMALIZE WINDING DIRECTION
-			// Outer boundary: CCW (positive area)
-			// Holes: CW (negative area) - opposite to outer!
-			const normalizedLoop = this.normalizeLoopWindingDirection(loop, normal, !isOuterBoundary);
-
-			// PROJECT LOOP ONTO PLANE to remove height variations from curved surfaces
-			// This prevents jagged edges when sweeping along curved boundaries
-			const flattenedLoop = this.flattenLoopOntoPlane(normalizedLoop, centroid, normal);
+		// Optional parallel-transport frames: one rotation per ring that turns the start
+		// face frame so the ring stays perpendicular to the path tangent
+		const pathFrames = options.followPath
+			? this.computePathFrames(tValues, controlPoints, normal, localZ, interpolation)
+			: null;
 
+		// First pass: determine which loop is the outer boundary (largest area)
+		// Compare magnitudes: the traced outer loop may come back with either winding
+		const loopAreas = boundary.loops.map(loop => Math.abs(this.calculateLoopSignedArea(loop, normal)));
+		const maxAreaIndex = loopAreas.indexOf(Math.max(...loopAreas));
+
+		// Sweep one planar loop along the path, returning one ring of points per t value.
+		// With morph targets (one per point, in the start plane) each point blends toward its
+		// target over the length, eased so the walls leave the start and reach the end smoothly
+		const sweepLoop = (ringLoop, morphTargets = null) => {
 			const loopPositions = [];
 
-			// Use the SHARED local coordinate frame passed from the caller
-			// This ensures perfect alignment between pipe rings and end face
-
-			// Generate t values for all rings
-			const tValues = [];
-
-			// Handle first segment splitting
-			if (firstSegmentSplit > 0) {
-				// Subdivide first segment from 0 to 1/segments
-				const tNext = 1 / segments;
-				for (let i = 0; i <= firstSegmentSplit; i++) {
-					const subT = i / firstSegmentSplit;
-					tValues.push(tNext * subT);
-				}
-				// Then add remaining segments (1..segments-1)
-				for (let seg = 1; seg < segments; seg++) {
-					tValues.push(seg / segments);
-				}
-			} else {
-				// Normal start: add all segments except the last
-				for (let seg = 0; seg < segments; seg++) {
-					tValues.push(seg / segments);
-				}
-			}
-
-			// Handle final segment splitting
-			if (finalSegmentSplit > 0) {
-				// Subdivide the final segment (from segments-1 to segments)
-				const tPrev = (segments - 1) / segments;
-				const tNext = 1.0;
-				for (let i = 1; i <= finalSegmentSplit; i++) {
-					const subT = i / finalSegmentSplit;
-					const t = tPrev + (tNext - tPrev) * subT;
-					tValues.push(t);
-				}
-			} else {
-				// Normal end: add the final segment
-				tValues.push(1.0);
-			}
-
 			// Generate rings for all t values
-			for (const t of tValues) {
+			tValues.forEach((t, ringIndex) => {
 				// CRITICAL FIX: For t=0 (first ring), use EXACT original boundary vertices
 				// This ensures perfect welding with the removed faces
 				if (t === 0) {
 					// Use exact copies of the original boundary points
-					const exactRingPoints = flattenedLoop.map(point => point.clone());
+					const exactRingPoints = ringLoop.map(point => point.clone());
 					loopPositions.push(exactRingPoints);
-					continue; // Skip transformation for first ring
+					return; // Skip transformation for first ring
 				}
 
-				const params = this.interpolateParams(t, controlPoints, normal);
+				const frame = pathFrames ? pathFrames[ringIndex] : null;
+
+				const params = this.interpolateParams(t, controlPoints, normal, interpolation, options.scaleProfile);
+				const twist = twistAt ? twistAt(t) : 0;
+				const cosTwist = Math.cos(twist);
+				const sinTwist = Math.sin(twist);
+				const morphWeight = t * t * (3 - 2 * t);
 
 				// MATRIX-BASED TRANSFORMATION using the SHARED local coordinate frame
 
 				// Transform each point: apply scaling in plane coords, then rotate, then translate
-				const ringPoints = flattenedLoop.map(point => {
-					// 1. Get point relative to centroid
-					const p = point.clone().sub(centroid);
+				const ringPoints = ringLoop.map((point, pointIndex) => {
+					// 1. Get point relative to centroid (blended toward the end profile when morphing)
+					const p = morphTargets
+						? point.clone().lerp(morphTargets[pointIndex], morphWeight).sub(centroid)
+						: point.clone().sub(centroid);
 
 					// 2. Convert to local plane coordinates
 					const localCoords = new THREE.Vector3(
@@ -571,6 +1840,13 @@ class PipeGenerator {
 					localCoords.x *= params.scaleX;
 					localCoords.y *= params.scaleY;
 
+					// 3b. Helical twist about the ring axis
+					if (twist) {
+						const x = localCoords.x;
+						localCoords.x = x * cosTwist - localCoords.y * sinTwist;
+						localCoords.y = x * sinTwist + localCoords.y * cosTwist;
+					}
+
 					// 4. Convert back to world coordinates
 					const scaled = new THREE.Vector3(
 						localX.x * localCoords.x + localY.x * localCoords.y + localZ.x * localCoords.z,
@@ -578,85 +1854,452 @@ class PipeGenerator {
 						localX.z * localCoords.x + localY.z * localCoords.y + localZ.z * localCoords.z
 					);
 
-					// 5. Apply rotation using matrix
-					const rotationMatrix = new THREE.Matrix4();
-					const euler = new THREE.Euler(
-						THREE.MathUtils.degToRad(params.rotX),
-						THREE.MathUtils.degToRad(params.rotY),
-						THREE.MathUtils.degToRad(params.rotZ),
-						'XYZ'
-					);
-					rotationMatrix.makeRotationFromEuler(euler);
-					scaled.applyMatrix4(rotationMatrix);
+					// 5. Apply interpolated orientation, then carry it along the path frame
+					scaled.applyQuaternion(params.orientation);
+					if (frame) {
+						scaled.applyQuaternion(frame);
+					}
 
 					// 6. Translate to final position
 					scaled.add(centroid).add(params.translation);
 
-					return scaled;
-				});
+					// 7. Extrude to surface: travel this point's own distance to the mesh
+					if (surfaceDistance) {
+						const { direction, distance } = surfaceDistance(point);
+						scaled.addScaledVector(direction, distance * t);
+					}
+
+					return scaled;
+				});
+
+				loopPositions.push(ringPoints);
+			});
+
+			return loopPositions;
+		};
+
+		// Append rings to the shared buffers and stitch adjacent rings with quads
+		const connectRings = (rings, flip) => {
+			const startIdx = positions.length / 3;
+			
+			// Add all points
+			rings.forEach(ring => {
+				ring.forEach(p => {
+					positions.push(p.x, p.y, p.z);
+				});
+			});
+			
+			// Create faces between rings
+			const numVertices = rings[0].length;
+
+			// Connect all adjacent rings (not just 'segments' worth!)
+			for (let seg = 0; seg < rings.length - 1; seg++) {
+				const ring1Start = startIdx + seg * numVertices;
+				const ring2Start = startIdx + (seg + 1) * numVertices;
+
+				for (let i = 0; i < numVertices; i++) {
+					const next = (i + 1) % numVertices;
+
+					// Two triangles per quad (reversed for walls that face inward)
+					if (flip) {
+						indices.push(ring1Start + next, ring1Start + i, ring2Start + i);
+						indices.push(ring2Start + next, ring1Start + next, ring2Start + i);
+					} else {
+						indices.push(ring1Start + i, ring1Start + next, ring2Start + i);
+						indices.push(ring1Start + next, ring2Start + next, ring2Start + i);
+					}
+				}
+			}
+		};
+
+		// Sweep one wall and stitch it. With resampling, the interior rings use evenly spaced
+		// points and are zipped to first and last rings that keep the original vertices, so
+		// the seam against the base mesh and the end cap still weld
+		const buildWall = (ringLoop, flip, morph = null) => {
+			if (morph) {
+				return buildMorphWall(ringLoop, flip, morph);
+			}
+
+			const rings = sweepLoop(ringLoop);
+			if (resampleCount <= 0 || rings.length < 3) {
+				connectRings(rings, flip);
+				return rings;
+			}
+
+			const loopParams = this.loopArcLengthParams(ringLoop);
+			const resampled = this.resampleLoop(ringLoop, resampleCount);
+			const interior = sweepLoop(resampled.points).slice(1, -1);
+
+			this.zipRings(rings[0], loopParams, interior[0], resampled.params, positions, indices, flip);
+			connectRings(interior, flip);
+			this.zipRings(interior[interior.length - 1], resampled.params, rings[rings.length - 1], loopParams, positions, indices, flip);
+
+			return rings;
+		};
+
+		// Morphed walls: every ring after the first uses evenly spaced points, each paired with
+		// the point at the same arc-length position on the target profile (shifted so the two
+		// loops start at matching places). The first ring keeps the original vertices.
+		const buildMorphWall = (ringLoop, flip, morph) => {
+			const count = resampleCount > 0 ? resampleCount : Math.max(64, ringLoop.length);
+			const loopParams = this.loopArcLengthParams(ringLoop);
+			const resampled = this.resampleLoop(ringLoop, count);
+			const targetParams = this.loopArcLengthParams(morph.target);
+			const targets = resampled.params.map(u => this.sampleLoop(morph.target, targetParams, (u + morph.shift) % 1));
+
+			const firstRing = ringLoop.map(point => point.clone());
+			const morphedRings = sweepLoop(resampled.points, targets).slice(1);
+
+			this.zipRings(firstRing, loopParams, morphedRings[0], resampled.params, positions, indices, flip);
+			connectRings(morphedRings, flip);
+
+			return [firstRing, ...morphedRings];
+		};
+
+		boundary.loops.forEach((loop, loopIndex) => {
+			const isOuterBoundary = (loopIndex === maxAreaIndex);
+			this.app.log(`  Processing loop ${loopIndex + 1}: ${loop.length} vertices ${isOuterBoundary ? '(OUTER)' : '(HOLE)'}`);
+
+			// NORMALIZE WINDING DIRECTION
+			// Outer boundary: CCW (positive area)
+			// Holes: CW (negative area) - opposite to outer!
+			const normalizedLoop = this.normalizeLoopWindingDirection(loop, normal, !isOuterBoundary);
+
+			// PROJECT LOOP ONTO PLANE to remove height variations from curved surfaces
+			// This prevents jagged edges when sweeping along curved boundaries
+			const flattenedLoop = this.flattenLoopOntoPlane(normalizedLoop, centroid, options.faceNormal || normal);
+
+			// End profile in the start plane, starting where it best matches this loop
+			let morph = null;
+			if (endProfile) {
+				const target = this.buildEndProfileLoop(endProfile, centroid, localX, localY);
+				const targetParams = this.loopArcLengthParams(target);
+				const shift = targetParams[this.alignLoopStart(flattenedLoop, this.loopArcLengthParams(flattenedLoop), target, targetParams)];
+				morph = { target, shift };
+				this.app.log(`  Morphing to ${endProfile.shape} end profile`);
+			}
+
+			const loopPositions = buildWall(flattenedLoop, false, morph);
+
+			// Capture first and last ring for this loop (for watertight end caps)
+			const numRings = loopPositions.length;
+			firstRings.push(loopPositions[0]);     // First ring
+			finalRings.push(loopPositions[numRings - 1]);  // Last ring
+
+			// HOLLOW TUBE: sweep an inner offset loop as well and connect it with reversed
+			// winding so its faces point into the bore
+			if (wallThickness > 0) {
+				const innerLoop = this.offsetLoopInward(flattenedLoop, localZ, wallThickness);
+				const innerMorph = morph
+					? { target: this.offsetLoopInward(morph.target, localZ, wallThickness), shift: morph.shift }
+					: null;
+				const innerPositions = buildWall(innerLoop, true, innerMorph);
+				finalInnerRings.push(innerPositions[innerPositions.length - 1]);
+				this.app.log(`  Built inner wall at ${wallThickness} mm thickness`);
+			}
+
+			this.app.log(morph
+				? `  Connected ${numRings} rings, morphed from ${flattenedLoop.length} to ${loopPositions[numRings - 1].length} points`
+				: resampleCount > 0 && numRings > 2
+				? `  Connected ${numRings} rings, interior resampled from ${flattenedLoop.length} to ${resampleCount} points`
+				: `  Connected ${numRings} rings with ${flattenedLoop.length} vertices each`);
+		});
+
+		const geometry = new THREE.BufferGeometry();
+		geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+		geometry.setIndex(indices);
+		geometry.computeVertexNormals();
+
+		this.app.log(`✔ Pipe geometry created: ${positions.length / 3} vertices, ${indices.length / 3} faces`);
+
+		// Return geometry plus ring data for watertight end caps
+		return {
+			geometry: geometry,
+			finalRings: finalRings,  // Array of final rings (one per loop)
+			firstRings: firstRings,  // Array of first rings (one per loop)
+			finalInnerRings: finalInnerRings,  // Array of final inner-wall rings (hollow tubes only)
+			tValues: tValues,  // Ring positions along the path
+			morphed: !!endProfile,  // Final rings follow the end profile instead of the selected faces
+			endFrame: pathFrames ? pathFrames[pathFrames.length - 1] : null  // Path frame at t=1 (followPath only)
+		};
+	}
+
+	/**
+	 * Build the target outline for a morphing extrusion, centred on the start face
+	 * Dimensions are in the start plane, before Scale X/Y; the loop winds CCW about localZ
+	 * like the outer boundary.
+	 * @param {Object} profile - {shape: 'circle'|'polygon'|'rounded-rect', diameter, sides, width, height, radius}
+	 * @returns {Array<THREE.Vector3>} - Closed loop (polygon corners are its only vertices)
+	 */
+	buildEndProfileLoop(profile, centroid, localX, localY) {
+		const points2D = [];
+
+		if (profile.shape === 'circle' || profile.shape === 'polygon') {
+			const radius = (profile.diameter || 0) / 2;
+			if (!(radius > 0)) {
+				throw new Error('End profile diameter must be greater than 0');
+			}
+
+			// Polygons are measured across the corners; half-step start puts a flat edge at the bottom
+			const sides = profile.shape === 'circle' ? 96 : Math.max(3, Math.round(profile.sides || 6));
+			const start = profile.shape === 'circle' ? 0 : Math.PI / sides - Math.PI / 2;
+			for (let i = 0; i < sides; i++) {
+				const angle = start + (i / sides) * Math.PI * 2;
+				points2D.push([radius * Math.cos(angle), radius * Math.sin(angle)]);
+			}
+		} else if (profile.shape === 'rounded-rect') {
+			const halfW = (profile.width || 0) / 2;
+			const halfH = (profile.height || 0) / 2;
+			if (!(halfW > 0 && halfH > 0)) {
+				throw new Error('End profile width and height must be greater than 0');
+			}
+
+			// Quarter arc per corner, CCW from the bottom-right corner
+			const radius = Math.min(Math.max(profile.radius || 0, 0), halfW, halfH);
+			const arcSteps = radius > 0 ? 8 : 0;
+			[[1, -1], [1, 1], [-1, 1], [-1, -1]].forEach(([sx, sy], corner) => {
+				const cx = sx * (halfW - radius);
+				const cy = sy * (halfH - radius);
+				const startAngle = -Math.PI / 2 + corner * Math.PI / 2;
+				for (let i = 0; i <= arcSteps; i++) {
+					const angle = startAngle + (i / Math.max(arcSteps, 1)) * Math.PI / 2;
+					points2D.push([cx + radius * Math.cos(angle), cy + radius * Math.sin(angle)]);
+				}
+			});
+		} else {
+			throw new Error(`Unknown end profile: ${profile.shape}`);
+		}
+
+		return points2D.map(([x, y]) => centroid.clone()
+			.addScaledVector(localX, x)
+			.addScaledVector(localY, y));
+	}
+
+	/**
+	 * Build the t values (0..1) at which rings are placed
+	 * First and final segments can be split into extra rings for smoother transitions
+	 */
+	buildRingTValues(segments, firstSegmentSplit = 0, finalSegmentSplit = 0) {
+		const tValues = [];
+
+		// Handle first segment splitting
+		if (firstSegmentSplit > 0) {
+			// Subdivide first segment from 0 to 1/segments
+			const tNext = 1 / segments;
+			for (let i = 0; i <= firstSegmentSplit; i++) {
+				const subT = i / firstSegmentSplit;
+				tValues.push(tNext * subT);
+			}
+			// Then add remaining segments (1..segments-1)
+			for (let seg = 1; seg < segments; seg++) {
+				tValues.push(seg / segments);
+			}
+		} else {
+			// Normal start: add all segments except the last
+			for (let seg = 0; seg < segments; seg++) {
+				tValues.push(seg / segments);
+			}
+		}
+
+		// Handle final segment splitting
+		if (finalSegmentSplit > 0) {
+			// Subdivide the final segment (from segments-1 to segments)
+			const tPrev = (segments - 1) / segments;
+			const tNext = 1.0;
+			for (let i = 1; i <= finalSegmentSplit; i++) {
+				const subT = i / finalSegmentSplit;
+				const t = tPrev + (tNext - tPrev) * subT;
+				tValues.push(t);
+			}
+		} else {
+			// Normal end: add the final segment
+			tValues.push(1.0);
+		}
+
+		return tValues;
+	}
+
+	/**
+	 * Build ring t values that follow the shape of the extrusion instead of a fixed count
+	 * Every span between control points is bisected until the ring at the midpoint lies
+	 * within chordTolerance (mm) of the straight blend of its neighbours, and the centre
+	 * line and orientation turn less than angleTolerance (degrees) across the span.
+	 * Straight runs get a single span; bends, twists and scale changes get more rings.
+	 * @param {Array<Object>} controlPoints - Control points from buildControlPoints
+	 * @param {THREE.Vector3} normal - Extrusion direction
+	 * @param {string} interpolation - Path interpolation mode
+	 * @param {Array<THREE.Vector3>} profile - Cross-section sample points relative to the centroid
+	 * @param {Object} options - {chordTolerance, angleTolerance, twistAt, scaleProfile, firstSegmentSplit, finalSegmentSplit, maxDepth}
+	 * @returns {Array<number>} - Sorted ring positions (0..1)
+	 */
+	buildAdaptiveRingTValues(controlPoints, normal, interpolation, profile, localX, localY, localZ, options = {}) {
+		const chordTolerance = options.chordTolerance > 0 ? options.chordTolerance : 0.1;
+		const angleLimit = THREE.MathUtils.degToRad(options.angleTolerance > 0 ? options.angleTolerance : 5);
+		const maxDepth = options.maxDepth || 10;
+		const twistAt = options.twistAt || null;
+
+		// Profile points placed the same way sweepLoop places ring points (without path frames)
+		const stateAt = (t) => {
+			const params = this.interpolateParams(t, controlPoints, normal, interpolation, options.scaleProfile);
+			const twist = twistAt ? twistAt(t) : 0;
+			const points = profile.map(p => {
+				const x = p.dot(localX) * params.scaleX;
+				const y = p.dot(localY) * params.scaleY;
+				return localX.clone().multiplyScalar(x * Math.cos(twist) - y * Math.sin(twist))
+					.addScaledVector(localY, x * Math.sin(twist) + y * Math.cos(twist))
+					.addScaledVector(localZ, p.dot(localZ))
+					.applyQuaternion(params.orientation)
+					.add(params.translation);
+			});
+			return { t, points, twist, orientation: params.orientation, centre: params.translation };
+		};
+
+		const needsSplit = (a, m, b) => {
+			const chordError = m.points.reduce(
+				(max, p, i) => Math.max(max, p.distanceTo(a.points[i].clone().lerp(b.points[i], 0.5))), 0
+			);
+			if (chordError > chordTolerance) return true;
+			if (a.orientation.angleTo(b.orientation) > angleLimit) return true;
+			if (Math.abs(b.twist - a.twist) > angleLimit) return true;
+
+			// Bend of the centre line across the span (chords rather than tangents, which are
+			// ambiguous at the kinks of a linear path)
+			const first = new THREE.Vector3().subVectors(m.centre, a.centre);
+			const second = new THREE.Vector3().subVectors(b.centre, m.centre);
+			return first.lengthSq() > 1e-12 && second.lengthSq() > 1e-12 && first.angleTo(second) > angleLimit;
+		};
 
-				loopPositions.push(ringPoints);
+		const tValues = [0];
+		const refine = (a, b, depth) => {
+			const m = stateAt((a.t + b.t) / 2);
+			if (depth < maxDepth && needsSplit(a, m, b)) {
+				refine(a, m, depth + 1);
+				refine(m, b, depth + 1);
+			} else {
+				tValues.push(b.t);
 			}
+		};
 
-			// Capture first and last ring for this loop (for watertight end caps)
-			const numRings = loopPositions.length;
-			firstRings.push(loopPositions[0]);     // First ring
-			finalRings.push(loopPositions[numRings - 1]);  // Last ring
-
-			// Connect rings
-			const startIdx = positions.length / 3;
-			
-			// Add all points
-			loopPositions.forEach(ring => {
-				ring.forEach(p => {
-					positions.push(p.x, p.y, p.z);
-				});
-			});
-			
-			// Create faces between rings
-			const numVertices = flattenedLoop.length;
+		// Control points always get a ring: linear paths have a kink there
+		const breaks = [...new Set([0, 1, ...controlPoints.map(cp => Math.min(Math.max(cp.t, 0), 1))])]
+			.sort((x, y) => x - y);
+		for (let i = 0; i < breaks.length - 1; i++) {
+			if (breaks[i + 1] - breaks[i] > 1e-9) {
+				refine(stateAt(breaks[i]), stateAt(breaks[i + 1]), 0);
+			}
+		}
 
-			// Connect all adjacent rings (not just 'segments' worth!)
-			for (let seg = 0; seg < numRings - 1; seg++) {
-				const ring1Start = startIdx + seg * numVertices;
-				const ring2Start = startIdx + (seg + 1) * numVertices;
+		// Segment splits still subdivide the first and last spans for smoother transitions
+		const splitSpan = (index, pieces) => {
+			const t0 = tValues[index];
+			const t1 = tValues[index + 1];
+			const extra = [];
+			for (let i = 1; i < pieces; i++) extra.push(t0 + (t1 - t0) * i / pieces);
+			tValues.splice(index + 1, 0, ...extra);
+		};
+		if (options.finalSegmentSplit > 0) splitSpan(tValues.length - 2, options.finalSegmentSplit);
+		if (options.firstSegmentSplit > 0) splitSpan(0, options.firstSegmentSplit);
 
-				for (let i = 0; i < numVertices; i++) {
-					const next = (i + 1) % numVertices;
+		return tValues;
+	}
 
-					// Two triangles per quad
-					indices.push(
-						ring1Start + i,
-						ring1Start + next,
-						ring2Start + i
-					);
+	/**
+	 * Compute rotation-minimizing (parallel-transport) frames along the extrusion path
+	 * The start face frame (tangent = localZ) is carried from ring to ring by the smallest
+	 * rotation that maps the previous path tangent onto the next one, so rings follow bends
+	 * without the twist a Frenet frame would add.
+	 * @param {Array<number>} tValues - Sorted ring positions (0..1)
+	 * @param {Array<Object>} controlPoints - Control points from buildControlPoints
+	 * @param {THREE.Vector3} normal - Extrusion direction
+	 * @param {THREE.Vector3} localZ - Start face normal (tangent of the start frame)
+	 * @param {string} interpolation - Path interpolation mode
+	 * @returns {Array<THREE.Quaternion>} - World-space frame rotation for each t value
+	 */
+	computePathFrames(tValues, controlPoints, normal, localZ, interpolation = 'linear') {
+		const frames = [];
+		const frame = new THREE.Quaternion();
+		let previousTangent = localZ.clone().normalize();
+
+		// A cut starts against the face normal; transport from the reversed axis so the rings
+		// are not turned half way round
+		const startTangent = this.computePathTangent(0, controlPoints, normal, interpolation);
+		if (startTangent && startTangent.dot(previousTangent) < 0) {
+			previousTangent.negate();
+		}
 
-					indices.push(
-						ring1Start + next,
-						ring2Start + next,
-						ring2Start + i
-					);
-				}
+		tValues.forEach(t => {
+			const tangent = this.computePathTangent(t, controlPoints, normal, interpolation);
+			if (tangent) {
+				const step = new THREE.Quaternion().setFromUnitVectors(previousTangent, tangent);
+				frame.premultiply(step);
+				previousTangent = tangent;
 			}
-
-			this.app.log(`  Connected ${numRings} rings with ${numVertices} vertices each`);
+			frames.push(frame.clone());
 		});
 
-		const geometry = new THREE.BufferGeometry();
-		geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
-		geometry.setIndex(indices);
-		geometry.computeVertexNormals();
+		return frames;
+	}
 
-		this.app.log(`✔ Pipe geometry created: ${positions.length / 3} vertices, ${indices.length / 3} faces`);
+	/**
+	 * Twist angle (radians) as a function of t for a twist rate in degrees per mm of path
+	 * Measured along the arc length of the centre line, so offset and curved paths twist
+	 * at the same rate as straight ones. Returns null when there is no twist.
+	 */
+	buildTwistFunction(twistRate, controlPoints, normal, interpolation = 'linear', samples = 200) {
+		if (!twistRate) return null;
+
+		const lengths = [0];
+		let previous = this.interpolateParams(0, controlPoints, normal, interpolation).translation;
+		for (let i = 1; i <= samples; i++) {
+			const current = this.interpolateParams(i / samples, controlPoints, normal, interpolation).translation;
+			lengths.push(lengths[i - 1] + current.distanceTo(previous));
+			previous = current;
+		}
 
-		// Return geometry plus ring data for watertight end caps
-		return {
-			geometry: geometry,
-			finalRings: finalRings,  // Array of final rings (one per loop)
-			firstRings: firstRings   // Array of first rings (one per loop)
+		const rate = THREE.MathUtils.degToRad(twistRate);
+		return (t) => {
+			const x = Math.min(Math.max(t, 0), 1) * samples;
+			const i = Math.min(Math.floor(x), samples - 1);
+			return rate * (lengths[i] + (lengths[i + 1] - lengths[i]) * (x - i));
 		};
 	}
 
+	/**
+	 * Orientation of a face that is first twisted about its own axis (localZ), then rotated
+	 * by its control point orientation (or rotX/Y/Z) - the order sweepLoop uses for rings
+	 */
+	applyTwist(params, angle, localZ) {
+		const orientation = params.orientation ||
+			this.eulerToQuaternion(params.rotX || 0, params.rotY || 0, params.rotZ || 0);
+		return orientation.clone().multiply(new THREE.Quaternion().setFromAxisAngle(localZ, angle));
+	}
+
+	/**
+	 * Combine a path frame with the user rotation of a control point
+	 * The user rotation is applied first, in the start face frame, then carried along the path
+	 */
+	orientationOnPath(frame, rotation) {
+		return frame.clone().multiply(
+			this.eulerToQuaternion(rotation.rotX || 0, rotation.rotY || 0, rotation.rotZ || 0)
+		);
+	}
+
+	/**
+	 * Unit tangent of the path centre line at t (central difference, one-sided at the ends)
+	 * Returns null where the path does not move (e.g. zero length)
+	 */
+	computePathTangent(t, controlPoints, normal, interpolation = 'linear') {
+		const h = 1e-3;
+		const t0 = Math.max(t - h, 0);
+		const t1 = Math.min(t + h, 1);
+		const p0 = this.interpolateParams(t0, controlPoints, normal, interpolation).translation;
+		const p1 = this.interpolateParams(t1, controlPoints, normal, interpolation).translation;
+		const tangent = p1.sub(p0);
+
+		if (tangent.lengthSq() < 1e-12) return null;
+		return tangent.normalize();
+	}
+
 
 
 	/**
@@ -725,6 +2368,226 @@ class PipeGenerator {
 		return geometry;
 	}
 
+	/**
+	 * Offset a planar loop into the selected region by a fixed distance (for hollow tubes)
+	 * Works for the outer loop (CCW) and holes (CW) alike: with the winding normalized,
+	 * the left side of every edge is the selected region.
+	 * @param {Array<THREE.Vector3>} loop - Flattened, winding-normalized loop
+	 * @param {THREE.Vector3} planeNormal - Plane normal the winding refers to
+	 * @param {number} distance - Offset distance (wall thickness)
+	 * @returns {Array<THREE.Vector3>} - Offset loop with the same vertex count
+	 */
+	offsetLoopInward(loop, planeNormal, distance) {
+		const n = loop.length;
+		const inward = loop.map((point, i) => {
+			const prev = loop[(i - 1 + n) % n];
+			const next = loop[(i + 1) % n];
+
+			const inPrev = new THREE.Vector3().crossVectors(planeNormal, new THREE.Vector3().subVectors(point, prev)).normalize();
+			const inNext = new THREE.Vector3().crossVectors(planeNormal, new THREE.Vector3().subVectors(next, point)).normalize();
+
+			// Miter along the bisector; limit the length so sharp corners don't spike
+			const bisector = new THREE.Vector3().addVectors(inPrev, inNext);
+			if (bisector.lengthSq() < 1e-12) bisector.copy(inNext);
+			bisector.normalize();
+			const miter = distance / Math.max(bisector.dot(inNext), 0.25);
+
+			return point.clone().addScaledVector(bisector, miter);
+		});
+
+		// Reject offsets that collapse or flip the loop (wall thicker than the selection)
+		const originalArea = this.calculateLoopSignedArea(loop, planeNormal);
+		const offsetArea = this.calculateLoopSignedArea(inward, planeNormal);
+		const flipped = Math.sign(offsetArea) !== Math.sign(originalArea);
+		const turnedInsideOut = originalArea > 0 && offsetArea >= originalArea;  // Holes grow, outer loops shrink
+		// An edge that reverses direction has been overrun by the offset even if the area still looks sane
+		const edgeReversed = loop.some((point, i) => {
+			const next = (i + 1) % n;
+			const original = new THREE.Vector3().subVectors(loop[next], point);
+			const offset = new THREE.Vector3().subVectors(inward[next], inward[i]);
+			return original.dot(offset) <= 0;
+		});
+		if (flipped || turnedInsideOut || edgeReversed) {
+			throw new Error(`Wall thickness ${distance} is too large for the selected faces`);
+		}
+
+		return inward;
+	}
+
+	/**
+	 * Create an annular end cap between the outer and inner final rings of a hollow tube
+	 * Winding matches the walls so the cap faces away from the tube.
+	 * @param {Array<Array<THREE.Vector3>>} outerRings - Final ring of each outer wall
+	 * @param {Array<Array<THREE.Vector3>>} innerRings - Final ring of each inner wall (same vertex counts)
+	 * @returns {THREE.BufferGeometry} - Annular cap geometry
+	 */
+	createAnnularCap(outerRings, innerRings) {
+		const positions = [];
+		const indices = [];
+
+		outerRings.forEach((outer, ringIndex) => {
+			const inner = innerRings[ringIndex];
+			if (!inner || inner.length !== outer.length) return;
+
+			const outerStart = positions.length / 3;
+			outer.forEach(p => positions.push(p.x, p.y, p.z));
+			const innerStart = positions.length / 3;
+			inner.forEach(p => positions.push(p.x, p.y, p.z));
+
+			for (let i = 0; i < outer.length; i++) {
+				const next = (i + 1) % outer.length;
+				indices.push(outerStart + i, outerStart + next, innerStart + i);
+				indices.push(outerStart + next, innerStart + next, innerStart + i);
+			}
+		});
+
+		const geometry = new THREE.BufferGeometry();
+		geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+		geometry.setIndex(indices);
+		geometry.computeVertexNormals();
+
+		this.app.log(`  ✔ Annular end cap created: ${indices.length / 3} faces`);
+
+		return geometry;
+	}
+
+	/**
+	 * Create a dome, chamfer or fillet end cap from the final rings of the walls
+	 * Extra rings step inward from each final ring and forward along the end normal, then the
+	 * innermost rings are closed, so the cap shares the final ring vertices with the walls.
+	 * @param {Array<Array<THREE.Vector3>>} finalRings - Final ring of each loop (outer and holes)
+	 * @param {string} style - 'dome', 'chamfer', 'fillet' or 'flat' (final rings closed as they are)
+	 * @param {number} size - Chamfer distance or fillet radius (dome uses the end face size)
+	 * @param {number} steps - Rings used to approximate rounded styles
+	 * @returns {THREE.BufferGeometry|null} - Cap geometry, or null if the style can't be built
+	 */
+	createStyledEndCap(finalRings, style, size, steps = 8) {
+		if (!finalRings || finalRings.length === 0) return null;
+
+		// End normal and outer loop from Newell's method: the outer ring has the largest area,
+		// and its winding (CCW, like the start face) points along the extrusion
+		const newell = finalRings.map(ring => {
+			const n = new THREE.Vector3();
+			ring.forEach((p, i) => {
+				const q = ring[(i + 1) % ring.length];
+				n.x += (p.y - q.y) * (p.z + q.z);
+				n.y += (p.z - q.z) * (p.x + q.x);
+				n.z += (p.x - q.x) * (p.y + q.y);
+			});
+			return n;
+		});
+		const outerIndex = newell.reduce((best, n, i) => n.length() > newell[best].length() ? i : best, 0);
+		const endNormal = newell[outerIndex].clone().normalize();
+		const outerRing = finalRings[outerIndex];
+
+		const positions = [];
+		const indices = [];
+		const lastRings = [];
+
+		// Same winding as the walls (connectRings without flip)
+		const addRings = (rings) => {
+			const startIdx = positions.length / 3;
+			rings.forEach(ring => ring.forEach(p => positions.push(p.x, p.y, p.z)));
+			const numVertices = rings[0].length;
+			for (let seg = 0; seg < rings.length - 1; seg++) {
+				const ring1Start = startIdx + seg * numVertices;
+				const ring2Start = startIdx + (seg + 1) * numVertices;
+				for (let i = 0; i < numVertices; i++) {
+					const next = (i + 1) % numVertices;
+					indices.push(ring1Start + i, ring1Start + next, ring2Start + i);
+					indices.push(ring1Start + next, ring2Start + next, ring2Start + i);
+				}
+			}
+			return startIdx + (rings.length - 1) * numVertices;
+		};
+
+		if (style === 'dome') {
+			if (finalRings.length > 1) {
+				this.app.log('⚠️ Dome end cap needs a selection without holes, using flat cap');
+				return null;
+			}
+
+			// Hemisphere: rings shrink toward the centre by cos(theta) and rise by R*sin(theta),
+			// where R is the mean distance of the final ring from its centre
+			const centre = new THREE.Vector3();
+			outerRing.forEach(p => centre.add(p));
+			centre.divideScalar(outerRing.length);
+			const radius = outerRing.reduce((sum, p) => sum + p.distanceTo(centre), 0) / outerRing.length;
+
+			const rings = [outerRing];
+			for (let k = 1; k < steps; k++) {
+				const theta = (k / steps) * Math.PI / 2;
+				rings.push(outerRing.map(p => p.clone().sub(centre).multiplyScalar(Math.cos(theta))
+					.add(centre).addScaledVector(endNormal, radius * Math.sin(theta))));
+			}
+			const lastStart = addRings(rings);
+
+			// Close with a fan to the apex
+			const apex = centre.clone().addScaledVector(endNormal, radius);
+			const apexIdx = positions.length / 3;
+			positions.push(apex.x, apex.y, apex.z);
+			for (let i = 0; i < outerRing.length; i++) {
+				indices.push(lastStart + i, lastStart + (i + 1) % outerRing.length, apexIdx);
+			}
+		} else if (style === 'chamfer' || style === 'fillet' || style === 'flat') {
+			// Profile of the edge: (inset, rise) for each ring after the final ring
+			const profile = style === 'flat'
+				? []
+				: style === 'chamfer'
+				? [{ inset: size, rise: size }]
+				: Array.from({ length: steps }, (_, k) => {
+					const theta = ((k + 1) / steps) * Math.PI / 2;
+					return { inset: size * (1 - Math.cos(theta)), rise: size * Math.sin(theta) };
+				});
+
+			const loopStarts = finalRings.map(ring => {
+				const rings = [ring];
+				profile.forEach(({ inset, rise }) => {
+					let offset;
+					try {
+						offset = this.offsetLoopInward(ring, endNormal, inset);
+					} catch (error) {
+						throw new Error(`${style === 'chamfer' ? 'Chamfer distance' : 'Fillet radius'} ${size} is too large for the end face`);
+					}
+					rings.push(offset.map(p => p.addScaledVector(endNormal, rise)));
+				});
+				lastRings.push(rings[rings.length - 1]);
+				return addRings(rings);
+			});
+
+			// Close the inset outline (with its holes) with a flat face
+			const ordered = [outerIndex, ...finalRings.map((_, i) => i).filter(i => i !== outerIndex)];
+			const projected = this.projectLoopsTo2D(ordered.map(i => lastRings[i]), endNormal);
+			const contour = projected.outer.map(p => new THREE.Vector2(p.x, p.y));
+			const holes = projected.holes.map(hole => hole.map(p => new THREE.Vector2(p.x, p.y)));
+			const flatIndices = ordered.flatMap(i => lastRings[i].map((_, v) => loopStarts[i] + v));
+
+			THREE.ShapeUtils.triangulateShape(contour, holes).forEach(([a, b, c]) => {
+				const ia = flatIndices[a], ib = flatIndices[b], ic = flatIndices[c];
+				const pa = new THREE.Vector3().fromArray(positions, ia * 3);
+				const pb = new THREE.Vector3().fromArray(positions, ib * 3);
+				const pc = new THREE.Vector3().fromArray(positions, ic * 3);
+				const faceNormal = new THREE.Vector3().crossVectors(pb.sub(pa), pc.sub(pa));
+				if (faceNormal.dot(endNormal) >= 0) {
+					indices.push(ia, ib, ic);
+				} else {
+					indices.push(ia, ic, ib);
+				}
+			});
+		} else {
+			return null;
+		}
+
+		const geometry = new THREE.BufferGeometry();
+		geometry.setAttribute('position', new THREE.Float32BufferAttribute(positions, 3));
+		geometry.setIndex(indices);
+		geometry.computeVertexNormals();
+
+		this.app.log(`  ✔ ${style} end cap created: ${indices.length / 3} faces`);
+
+		return geometry;
+	}
+
 	/**
 	 * Project loops to 2D plane for triangulation
 	 * @param {Array<Array<THREE.Vector3>>} rings - Array of rings
@@ -862,42 +2725,210 @@ class PipeGenerator {
 
 
  
-    interpolateParams(t, controlPoints, normal) {
-        let prev = controlPoints[0];
-        let next = controlPoints[controlPoints.length - 1];
-        
+    /**
+     * Interpolate control point parameters at t
+     * @param {number} t - Position along the extrusion (0 = start, 1 = end)
+     * @param {Array<Object>} controlPoints - Sorted control points from buildControlPoints
+     * @param {THREE.Vector3} normal - Extrusion direction
+     * @param {string} interpolation - 'linear' (kinks at waypoints) or 'smooth' (Catmull-Rom)
+     */
+    interpolateParams(t, controlPoints, normal, interpolation = 'linear', scaleProfile = null) {
+        let prevIndex = 0;
+        let nextIndex = controlPoints.length - 1;
+
         for (let i = 0; i < controlPoints.length - 1; i++) {
             if (controlPoints[i].t <= t && t <= controlPoints[i+1].t) {
-                prev = controlPoints[i];
-                next = controlPoints[i+1];
+                prevIndex = i;
+                nextIndex = i + 1;
                 break;
             }
         }
-        
+
+        const prev = controlPoints[prevIndex];
+        const next = controlPoints[nextIndex];
         const localT = prev.t === next.t ? 0 : (t - prev.t) / (next.t - prev.t);
-        
+
         const lerp = (a, b) => a + (b - a) * localT;
-        
-        const offsetX = lerp(prev.offsetX || 0, next.offsetX || 0);
-        const offsetY = lerp(prev.offsetY || 0, next.offsetY || 0);
-        const offsetZ = lerp(prev.offsetZ || 0, next.offsetZ || 0);
-        const length = lerp(prev.length || 0, next.length || 0);
-        
+        const smooth = interpolation === 'smooth' && nextIndex === prevIndex + 1;
+        const blend = (key, fallback) => smooth
+            ? this.catmullRomChannel(controlPoints, prevIndex, localT, key, fallback)
+            : lerp(prev[key] || fallback, next[key] || fallback);
+
+        const offsetX = blend('offsetX', 0);
+        const offsetY = blend('offsetY', 0);
+        const offsetZ = blend('offsetZ', 0);
+        const length = blend('length', 0);
+
         const translation = normal.clone()
             .multiplyScalar(length)
             .add(new THREE.Vector3(offsetX, offsetY, offsetZ));
 
+        // Orientation is interpolated as a whole (slerp / squad) instead of per Euler angle,
+        // which avoids flips and unexpected twists when combined rotations approach 90°
+        const orientation = smooth
+            ? this.squadOrientation(controlPoints, prevIndex, localT)
+            : prev.orientation.clone().slerp(next.orientation, localT);
+
+        // Scale profile: easing reshapes the blend between control points,
+        // bulge and custom keyframes multiply the blended scale
+        let scaleX = blend('scaleX', 1);
+        let scaleY = blend('scaleY', 1);
+        if (scaleProfile) {
+            const { easedT, multiplier } = this.evaluateScaleProfile(scaleProfile, t, localT);
+            const easedBlend = (key) => smooth
+                ? this.catmullRomChannel(controlPoints, prevIndex, easedT, key, 1)
+                : (prev[key] || 1) + ((next[key] || 1) - (prev[key] || 1)) * easedT;
+            scaleX = easedBlend('scaleX') * multiplier;
+            scaleY = easedBlend('scaleY') * multiplier;
+        }
+
         return {
-            // RESTORE interpolation - we DO want the pipe to twist
-            // The fix is to flatten each ring AFTER transformation (see generatePipeWithWaypoints)
-            rotX: lerp(prev.rotX || 0, next.rotX || 0),
-            rotY: lerp(prev.rotY || 0, next.rotY || 0),
-            rotZ: lerp(prev.rotZ || 0, next.rotZ || 0),
-            scaleX: lerp(prev.scaleX || 1, next.scaleX || 1),
-            scaleY: lerp(prev.scaleY || 1, next.scaleY || 1),
+            orientation,
+            scaleX,
+            scaleY,
             translation
         };
     }
+
+    /**
+     * Sample a scale profile
+     * @param {Object} profile - {shape, amount, keyframes}; shape is 'linear', 'ease-in', 'ease-out',
+     *   'ease-in-out', 'bulge' (amount = extra scale at mid-length) or 'custom'
+     *   (keyframes = [{t, scale}] multipliers over the whole length, linear between keys)
+     * @param {number} t - Position along the whole extrusion (0..1)
+     * @param {number} localT - Position within the current control point span (0..1)
+     * @returns {Object} - {easedT, multiplier}
+     */
+    evaluateScaleProfile(profile, t, localT) {
+        switch (profile.shape) {
+            case 'ease-in':
+                return { easedT: localT * localT, multiplier: 1 };
+            case 'ease-out':
+                return { easedT: 1 - (1 - localT) * (1 - localT), multiplier: 1 };
+            case 'ease-in-out':
+                return { easedT: localT * localT * (3 - 2 * localT), multiplier: 1 };
+            case 'bulge':
+                return { easedT: localT, multiplier: 1 + (profile.amount || 0) * Math.sin(Math.PI * t) };
+            case 'custom': {
+                const keys = profile.keyframes || [];
+                if (keys.length === 0) return { easedT: localT, multiplier: 1 };
+                if (t <= keys[0].t) return { easedT: localT, multiplier: keys[0].scale };
+
+                for (let i = 0; i < keys.length - 1; i++) {
+                    if (t <= keys[i + 1].t) {
+                        const span = keys[i + 1].t - keys[i].t;
+                        const k = span > 0 ? (t - keys[i].t) / span : 1;
+                        return { easedT: localT, multiplier: keys[i].scale + (keys[i + 1].scale - keys[i].scale) * k };
+                    }
+                }
+                return { easedT: localT, multiplier: keys[keys.length - 1].scale };
+            }
+            default:
+                return { easedT: localT, multiplier: 1 };
+        }
+    }
+
+    /**
+     * Evaluate one control point channel on a Catmull-Rom spline
+     * Tangents come from neighbouring control points (one-sided at the ends),
+     * so a path with only start and end stays identical to linear interpolation.
+     * @param {Array<Object>} controlPoints - Sorted control points
+     * @param {number} index - Index of the control point that starts the span
+     * @param {number} localT - Position within the span (0..1)
+     * @param {string} key - Parameter name, e.g. 'offsetX'
+     * @param {number} fallback - Value used when a control point lacks the key
+     * @returns {number} - Interpolated value
+     */
+    catmullRomChannel(controlPoints, index, localT, key, fallback) {
+        const value = cp => cp[key] || fallback;
+        const p0 = controlPoints[index];
+        const p1 = controlPoints[index + 1];
+        const span = p1.t - p0.t;
+
+        if (span === 0) return value(p0);
+
+        // Non-uniform tangent: slope between the neighbours of point j
+        const tangent = (j) => {
+            const before = controlPoints[Math.max(j - 1, 0)];
+            const after = controlPoints[Math.min(j + 1, controlPoints.length - 1)];
+            if (after.t === before.t) return 0;
+            return (value(after) - value(before)) / (after.t - before.t);
+        };
+
+        // Cubic Hermite basis
+        const s = localT;
+        const s2 = s * s;
+        const s3 = s2 * s;
+        const h00 = 2 * s3 - 3 * s2 + 1;
+        const h10 = s3 - 2 * s2 + s;
+        const h01 = -2 * s3 + 3 * s2;
+        const h11 = s3 - s2;
+
+        return h00 * value(p0) +
+            h10 * span * tangent(index) +
+            h01 * value(p1) +
+            h11 * span * tangent(index + 1);
+    }
+
+    /**
+     * Smooth orientation between two control points using spherical quadrangle
+     * interpolation (squad), the rotational counterpart of the Catmull-Rom spline.
+     * End points use their own orientation as control, so a two-point path is a plain slerp.
+     * @param {Array<Object>} controlPoints - Sorted control points with orientation quaternions
+     * @param {number} index - Index of the control point that starts the span
+     * @param {number} localT - Position within the span (0..1)
+     * @returns {THREE.Quaternion} - Interpolated orientation
+     */
+    squadOrientation(controlPoints, index, localT) {
+        const q1 = controlPoints[index].orientation;
+        const q2 = controlPoints[index + 1].orientation;
+        const s1 = this.squadControlPoint(controlPoints, index);
+        const s2 = this.squadControlPoint(controlPoints, index + 1);
+
+        const outer = q1.clone().slerp(q2, localT);
+        const inner = s1.slerp(s2, localT);
+        return outer.slerp(inner, 2 * localT * (1 - localT));
+    }
+
+    /**
+     * Squad inner control quaternion: s_i = q_i * exp(-(log(q_i^-1 q_i+1) + log(q_i^-1 q_i-1)) / 4)
+     */
+    squadControlPoint(controlPoints, index) {
+        const q = controlPoints[index].orientation;
+        if (index === 0 || index === controlPoints.length - 1) {
+            return q.clone();
+        }
+
+        const qInverse = q.clone().invert();
+        const toNext = this.quaternionLog(qInverse.clone().multiply(controlPoints[index + 1].orientation));
+        const toPrev = this.quaternionLog(qInverse.clone().multiply(controlPoints[index - 1].orientation));
+        const tangent = toNext.add(toPrev).multiplyScalar(-0.25);
+
+        return q.clone().multiply(this.quaternionExp(tangent));
+    }
+
+    /**
+     * Logarithm of a unit quaternion, returned as its vector part
+     */
+    quaternionLog(q) {
+        const w = Math.min(Math.max(q.w, -1), 1);
+        const angle = Math.acos(w);
+        const sinAngle = Math.sin(angle);
+        const scale = sinAngle > 1e-9 ? angle / sinAngle : 1;
+        return new THREE.Vector3(q.x * scale, q.y * scale, q.z * scale);
+    }
+
+    /**
+     * Exponential of a pure quaternion given as a vector, returns a unit quaternion
+     */
+    quaternionExp(v) {
+        const angle = v.length();
+        if (angle < 1e-9) {
+            return new THREE.Quaternion(v.x, v.y, v.z, 1).normalize();
+        }
+        const scale = Math.sin(angle) / angle;
+        return new THREE.Quaternion(v.x * scale, v.y * scale, v.z * scale, Math.cos(angle));
+    }
     
     scalePointXY(point, scaleX, scaleY, normal) {
         if (scaleX === 1 && scaleY === 1) return point;
@@ -928,41 +2959,174 @@ class PipeGenerator {
     }
     
     rotatePoint(point, rotX, rotY, rotZ) {
-        const p = point.clone();
-        
-        if (rotX !== 0) {
-            const rad = rotX * Math.PI / 180;
-            const cos = Math.cos(rad);
-            const sin = Math.sin(rad);
-            const y = p.y * cos - p.z * sin;
-            const z = p.y * sin + p.z * cos;
-            p.y = y;
-            p.z = z;
+        // Same quaternion as the rings and end face, so debug output lines up with them
+        return point.clone().applyQuaternion(this.eulerToQuaternion(rotX, rotY, rotZ));
+    }
+    
+    /**
+     * Distance from a point to the loaded mesh along a fixed direction
+     * Rays ignore the selected faces and hits right at the start point, so they find the
+     * surface across the gap. Results are cached per position.
+     * @param {THREE.Vector3} direction - Unit extrusion direction
+     * @returns {Function} - point => {direction, distance}; throws if the ray misses
+     */
+    buildSurfaceDistanceFunction(direction) {
+        const raycaster = new THREE.Raycaster();
+        raycaster.near = 1e-4;
+        const cache = new Map();
+
+        return (point) => {
+            const key = `${point.x.toFixed(6)},${point.y.toFixed(6)},${point.z.toFixed(6)}`;
+            if (!cache.has(key)) {
+                raycaster.set(point, direction);
+                const hit = raycaster.intersectObject(this.app.mesh)
+                    .find(intersection => !this.app.selectedFaces.has(intersection.faceIndex));
+                if (!hit) {
+                    throw new Error(`No surface found in the extrusion direction from (${point.x.toFixed(2)}, ${point.y.toFixed(2)}, ${point.z.toFixed(2)})`);
+                }
+                cache.set(key, { direction, distance: hit.distance });
+            }
+            return cache.get(key);
+        };
+    }
+
+    /**
+     * End face for extrude to surface: the selected faces with every vertex moved to its
+     * own ray hit, so the end conforms to the surface it reaches. Rays start from the
+     * vertices flattened onto the same plane as the wall rings, so the boundary lands on
+     * the final ring; it is then snapped onto it exactly.
+     * @param {THREE.Vector3} planePoint - Centroid of the selection (ring flattening plane)
+     * @param {THREE.Vector3} planeNormal - Face normal (ring flattening plane)
+     * @param {Array<Array<THREE.Vector3>>} finalRings - Last ring of each wall
+     */
+    createSurfaceEndFace(geometry, surfaceDistance, planePoint, planeNormal, finalRings) {
+        const positions = geometry.attributes.position.array;
+        const plane = new THREE.Plane().setFromNormalAndCoplanarPoint(planeNormal, planePoint);
+        const nearestRingPoint = this.buildPointLookup(finalRings.flat(), (this.app.config?.weldTolerance || 0.001) * 10);
+        const moved = [];
+        let minDistance = Infinity;
+        let maxDistance = 0;
+
+        for (let i = 0; i < positions.length; i += 3) {
+            const point = plane.projectPoint(new THREE.Vector3(positions[i], positions[i+1], positions[i+2]), new THREE.Vector3());
+            const { direction, distance } = surfaceDistance(point);
+            minDistance = Math.min(minDistance, distance);
+            maxDistance = Math.max(maxDistance, distance);
+            point.addScaledVector(direction, distance);
+            const ringPoint = nearestRingPoint(point);
+            if (ringPoint) point.copy(ringPoint);
+            moved.push(point.x, point.y, point.z);
         }
-        
-        if (rotY !== 0) {
-            const rad = rotY * Math.PI / 180;
-            const cos = Math.cos(rad);
-            const sin = Math.sin(rad);
-            const x = p.x * cos + p.z * sin;
-            const z = -p.x * sin + p.z * cos;
-            p.x = x;
-            p.z = z;
+
+        const faceGeometry = new THREE.BufferGeometry();
+        faceGeometry.setAttribute('position', new THREE.Float32BufferAttribute(moved, 3));
+        faceGeometry.computeVertexNormals();
+
+        this.app.log(`  ✔ End face conforms to surface: ${minDistance.toFixed(2)}–${maxDistance.toFixed(2)} mm away`);
+
+        return faceGeometry;
+    }
+
+    /**
+     * Reverse the winding of every triangle in place
+     */
+    flipWinding(geometry) {
+        if (geometry.index) {
+            const index = geometry.index.array;
+            for (let i = 0; i < index.length; i += 3) {
+                const swap = index[i + 1];
+                index[i + 1] = index[i + 2];
+                index[i + 2] = swap;
+            }
+            geometry.index.needsUpdate = true;
+        } else {
+            const positions = geometry.attributes.position.array;
+            for (let i = 0; i < positions.length; i += 9) {
+                for (let k = 0; k < 3; k++) {
+                    const swap = positions[i + 3 + k];
+                    positions[i + 3 + k] = positions[i + 6 + k];
+                    positions[i + 6 + k] = swap;
+                }
+            }
+            geometry.attributes.position.needsUpdate = true;
         }
-        
-        if (rotZ !== 0) {
-            const rad = rotZ * Math.PI / 180;
-            const cos = Math.cos(rad);
-            const sin = Math.sin(rad);
-            const x = p.x * cos - p.y * sin;
-            const y = p.x * sin + p.y * cos;
-            p.x = x;
-            p.y = y;
+        geometry.computeVertexNormals();
+        return geometry;
+    }
+
+    /**
+     * Closed cutting tool for a cut that leaves the model (through-holes, slots open at a side),
+     * or null when the swept volume stays inside and the pocket can be merged directly.
+     * Inside/outside uses ray parity against the model. The tool is the pocket turned
+     * outward, closed over the start by the selected faces lifted off the model surface.
+     * @param {boolean} force - Build the tool even if the cut stays inside
+     * @returns {THREE.Mesh|null}
+     */
+    buildThroughCutTool(pipeGeometry, endFaceGeometry, selectedGeometry, normal, force = false) {
+        const key = (x, y, z) => `${x.toFixed(4)},${y.toFixed(4)},${z.toFixed(4)}`;
+        const startPositions = selectedGeometry.attributes.position.array;
+        const startKeys = new Set();
+        for (let i = 0; i < startPositions.length; i += 3) {
+            startKeys.add(key(startPositions[i], startPositions[i + 1], startPositions[i + 2]));
         }
-        
-        return p;
+
+        const pipePositions = (pipeGeometry.index ? pipeGeometry.toNonIndexed() : pipeGeometry).attributes.position.array;
+        const endPositions = (endFaceGeometry.index ? endFaceGeometry.toNonIndexed() : endFaceGeometry).attributes.position.array;
+
+        // Skewed ray direction so rays rarely graze edges (a graze would count twice)
+        const probe = new THREE.Mesh(this.app.mesh.geometry, new THREE.MeshBasicMaterial({ side: THREE.DoubleSide }));
+        const raycaster = new THREE.Raycaster();
+        const direction = new THREE.Vector3(0.5377, 0.7071, 0.4593).normalize();
+        const tested = new Set();
+        let outside = 0;
+
+        if (!force) {
+            [pipePositions, endPositions].forEach(positions => {
+                for (let i = 0; i < positions.length; i += 3) {
+                    const k = key(positions[i], positions[i + 1], positions[i + 2]);
+                    if (startKeys.has(k) || tested.has(k)) continue;
+                    tested.add(k);
+
+                    raycaster.set(new THREE.Vector3(positions[i], positions[i + 1], positions[i + 2]), direction);
+                    if (raycaster.intersectObject(probe).length % 2 === 0) outside++;
+                }
+            });
+
+            if (outside === 0) return null;
+            this.app.log(`  Cut leaves the model (${outside} of ${tested.size} points outside), using boolean subtract`);
+        }
+
+        // Faces of the pocket turned outward, plus the start faces raised clear of the surface
+        const bounds = new THREE.Box3().setFromBufferAttribute(this.app.mesh.geometry.attributes.position);
+        const lift = normal.clone().multiplyScalar(Math.max(bounds.getSize(new THREE.Vector3()).length() * 1e-3, 0.01));
+        const toolPositions = new Float32Array(pipePositions.length + endPositions.length + startPositions.length);
+        let offset = 0;
+        const appendFlipped = (positions) => {
+            for (let i = 0; i < positions.length; i += 9, offset += 9) {
+                toolPositions.set(positions.subarray(i, i + 3), offset);
+                toolPositions.set(positions.subarray(i + 6, i + 9), offset + 3);
+                toolPositions.set(positions.subarray(i + 3, i + 6), offset + 6);
+            }
+        };
+        appendFlipped(pipePositions);
+        appendFlipped(endPositions);
+        toolPositions.set(startPositions, offset);
+
+        for (let i = 0; i < toolPositions.length; i += 3) {
+            if (startKeys.has(key(toolPositions[i], toolPositions[i + 1], toolPositions[i + 2]))) {
+                toolPositions[i] += lift.x;
+                toolPositions[i + 1] += lift.y;
+                toolPositions[i + 2] += lift.z;
+            }
+        }
+
+        const toolGeometry = new THREE.BufferGeometry();
+        toolGeometry.setAttribute('position', new THREE.Float32BufferAttribute(toolPositions, 3));
+        toolGeometry.computeVertexNormals();
+
+        return new THREE.Mesh(toolGeometry, new THREE.MeshBasicMaterial());
     }
-    
+
     createTransformedFace(geometry, centroid, normal, params, t, localX, localY, localZ) {
         const positions = geometry.attributes.position.array;
 
@@ -977,6 +3141,8 @@ class PipeGenerator {
         );
         const lengthOffset = normal.clone().multiplyScalar((params.length || 0) * t);
         const finalPosition = centroid.clone().add(lengthOffset).add(offset);
+        const orientation = params.orientation ||
+            this.eulerToQuaternion(params.rotX || 0, params.rotY || 0, params.rotZ || 0);
 
         // Transform each point
         const transformed = [];
@@ -1004,16 +3170,8 @@ class PipeGenerator {
                 localX.z * localCoords.x + localY.z * localCoords.y + localZ.z * localCoords.z
             );
 
-            // 5. Apply rotation
-            const rotationMatrix = new THREE.Matrix4();
-            const euler = new THREE.Euler(
-                THREE.MathUtils.degToRad(params.rotX || 0),
-                THREE.MathUtils.degToRad(params.rotY || 0),
-                THREE.MathUtils.degToRad(params.rotZ || 0),
-                'XYZ'
-            );
-            rotationMatrix.makeRotationFromEuler(euler);
-            scaled.applyMatrix4(rotationMatrix);
+            // 5. Apply rotation (same quaternion the rings use at this control point)
+            scaled.applyQuaternion(orientation);
 
             // 6. Translate to final position
             scaled.add(finalPosition);
@@ -1029,6 +3187,196 @@ class PipeGenerator {
         return faceGeometry;
     }
     
+    /**
+     * Push/pull: move the selected faces to where the end face would go and drag every
+     * mesh vertex that shares their positions along, so the side walls stretch in place.
+     * Waypoints are not used; the transform is the end face transform (length along the
+     * normal, offset, rotation, in-plane scale). Topology and face indices are unchanged.
+     * @param {Object} params - Extrusion parameters
+     * @returns {Object|null} - {geometry, movedVertices, invertedFaces}
+     */
+    moveSelectedFaces(params) {
+        if (!this.app.mesh || this.app.selectedFaces.size === 0) return null;
+
+        try {
+            const selectedGeometry = this.extractSelectedFaces();
+            const centroid = this.calculateCentroid(selectedGeometry);
+            const normal = this.resolveExtrusionDirection(params, this.calculateAverageNormal(selectedGeometry));
+            const { localX, localY, localZ } = this.buildLocalFrame(normal);
+
+            // The same transform the end face preview shows, applied to the selected vertices
+            const movedGeometry = this.createTransformedFace(selectedGeometry, centroid, normal, params, 1.0, localX, localY, localZ);
+            const from = selectedGeometry.attributes.position.array;
+            const to = movedGeometry.attributes.position.array;
+
+            const vertexKey = (array, i) => `${array[i].toFixed(6)},${array[i + 1].toFixed(6)},${array[i + 2].toFixed(6)}`;
+            const targets = new Map();
+            for (let i = 0; i < from.length; i += 3) {
+                targets.set(vertexKey(from, i), [to[i], to[i + 1], to[i + 2]]);
+            }
+
+            const geometry = this.app.mesh.geometry.clone();
+            const positions = geometry.attributes.position.array;
+            const faceNormal = (array, face) => {
+                const a = new THREE.Vector3().fromArray(array, face * 9);
+                const b = new THREE.Vector3().fromArray(array, face * 9 + 3);
+                const c = new THREE.Vector3().fromArray(array, face * 9 + 6);
+                return new THREE.Vector3().crossVectors(b.sub(a), c.sub(a));
+            };
+            const before = this.app.mesh.geometry.attributes.position.array;
+
+            let movedVertices = 0;
+            for (let i = 0; i < positions.length; i += 3) {
+                const target = targets.get(vertexKey(positions, i));
+                if (target) {
+                    positions[i] = target[0];
+                    positions[i + 1] = target[1];
+                    positions[i + 2] = target[2];
+                    movedVertices++;
+                }
+            }
+
+            // Faces that turned over were pushed through something (e.g. past the far side)
+            let invertedFaces = 0;
+            for (let face = 0; face < positions.length / 9; face++) {
+                if (faceNormal(before, face).dot(faceNormal(positions, face)) < 0) invertedFaces++;
+            }
+
+            geometry.attributes.position.needsUpdate = true;
+            geometry.computeVertexNormals();
+            geometry.computeBoundingBox();
+
+            if (this.app.waypoints.length > 0) {
+                this.app.log('  ℹ️ Waypoints are ignored when moving faces');
+            }
+            this.app.log(`✔ Moved ${this.app.selectedFaces.size} faces (${movedVertices} vertex copies, side walls stretched)`);
+            if (invertedFaces > 0) {
+                this.app.log(`⚠️ ${invertedFaces} faces turned inside out - the move passes through the mesh`);
+            }
+
+            return { geometry, movedVertices, invertedFaces };
+        } catch (error) {
+            this.app.log(`✗ Move faces error: ${error.message}`);
+            console.error(error);
+            return null;
+        }
+    }
+
+    /**
+     * Inset the selected region: pull its boundary inward by a distance and fill the gap
+     * with a ring of border faces, like Blender's inset. Interior vertices stay where they
+     * are, so the distance must be smaller than the first row of triangles.
+     * @param {number} distance - Inset distance in the selection plane
+     * @returns {Object|null} - {geometry, selectedFaces} with the inner region selected
+     */
+    insetSelectedFaces(distance) {
+        if (!this.app.mesh || this.app.selectedFaces.size === 0) return null;
+
+        try {
+            if (!(distance > 0)) {
+                throw new Error('Inset distance must be greater than 0');
+            }
+
+            const selectedGeometry = this.extractSelectedFaces();
+            const boundary = this.extractBoundaryFromGeometry(selectedGeometry);
+            if (!boundary || boundary.loops.length === 0) {
+                throw new Error('The selection has no boundary to inset');
+            }
+            const normal = this.calculateAverageNormal(selectedGeometry);
+
+            const source = this.app.mesh.geometry.attributes.position.array;
+            const vertexKey = (p) => `${p.x.toFixed(6)},${p.y.toFixed(6)},${p.z.toFixed(6)}`;
+            const faceVertices = (face) => [0, 1, 2].map(k => new THREE.Vector3().fromArray(source, face * 9 + k * 3));
+
+            // Directed edges of the selected faces: a loop that runs along them has the
+            // selection on its left, which is the side offsetLoopInward moves towards
+            const directedEdges = new Set();
+            this.app.selectedFaces.forEach(face => {
+                const keys = faceVertices(face).map(vertexKey);
+                keys.forEach((key, k) => directedEdges.add(`${key}>${keys[(k + 1) % 3]}`));
+            });
+
+            const insetPositions = new Map();
+            const borderPositions = [];
+            boundary.loops.forEach(rawLoop => {
+                const loop = directedEdges.has(`${vertexKey(rawLoop[0])}>${vertexKey(rawLoop[1])}`)
+                    ? rawLoop
+                    : [...rawLoop].reverse();
+
+                let inner;
+                try {
+                    inner = this.offsetLoopInward(loop, normal, distance);
+                } catch (error) {
+                    throw new Error(`Inset distance ${distance} is too large for the selected faces`);
+                }
+
+                loop.forEach((point, i) => {
+                    insetPositions.set(vertexKey(point), inner[i]);
+
+                    // Border quad between the old and the new boundary, facing like the selection
+                    const next = (i + 1) % loop.length;
+                    [point, loop[next], inner[i], loop[next], inner[next], inner[i]]
+                        .forEach(v => borderPositions.push(v.x, v.y, v.z));
+                });
+            });
+
+            // Selected faces follow their boundary vertices; a face that turns over means the
+            // inset reached past an interior vertex
+            const innerPositions = [];
+            this.app.selectedFaces.forEach(face => {
+                const original = faceVertices(face);
+                const moved = original.map(v => insetPositions.get(vertexKey(v)) || v);
+                const before = new THREE.Vector3().crossVectors(original[1].clone().sub(original[0]), original[2].clone().sub(original[0]));
+                const after = new THREE.Vector3().crossVectors(moved[1].clone().sub(moved[0]), moved[2].clone().sub(moved[0]));
+                if (before.dot(after) <= 0) {
+                    throw new Error(`Inset distance ${distance} is too large for the selected faces`);
+                }
+                moved.forEach(v => innerPositions.push(v.x, v.y, v.z));
+            });
+
+            const remaining = GeometryUtils.removeFaces(this.app.mesh.geometry.clone(), Array.from(this.app.selectedFaces));
+            const remainingPositions = remaining.attributes.position.array;
+
+            const positions = new Float32Array(remainingPositions.length + borderPositions.length + innerPositions.length);
+            positions.set(remainingPositions);
+            positions.set(borderPositions, remainingPositions.length);
+            positions.set(innerPositions, remainingPositions.length + borderPositions.length);
+
+            const geometry = new THREE.BufferGeometry();
+            geometry.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+            geometry.computeVertexNormals();
+            geometry.computeBoundingBox();
+
+            // The inner faces are appended last; select them for the following extrusion
+            const firstInnerFace = (remainingPositions.length + borderPositions.length) / 9;
+            const selectedFaces = new Set();
+            for (let face = 0; face < innerPositions.length / 9; face++) {
+                selectedFaces.add(firstInnerFace + face);
+            }
+
+            this.app.log(`✔ Inset ${this.app.selectedFaces.size} faces by ${distance} mm (${borderPositions.length / 9} border faces added)`);
+
+            return { geometry, selectedFaces };
+        } catch (error) {
+            this.app.log(`✗ Inset error: ${error.message}`);
+            console.error(error);
+            return null;
+        }
+    }
+
+    /**
+     * Local frame of a face region: localZ along the normal, localX/localY spanning its plane
+     */
+    buildLocalFrame(normal) {
+        const localZ = normal.clone().normalize();
+        const arbitrary = Math.abs(localZ.z) < 0.9
+            ? new THREE.Vector3(0, 0, 1)
+            : new THREE.Vector3(1, 0, 0);
+        const localX = new THREE.Vector3().crossVectors(arbitrary, localZ).normalize();
+        const localY = new THREE.Vector3().crossVectors(localZ, localX).normalize();
+        return { localX, localY, localZ };
+    }
+
     simpleExtrusion(geometry, params) {
         const normal = this.calculateAverageNormal(geometry);
         const extrudeVector = normal.clone().multiplyScalar(params.length);
@@ -1389,7 +3737,7 @@ class PipeGenerator {
 		const lastRing = normalizedLoop.map(point => {
 			let p = point.clone().sub(centroid);
 			p = this.scalePointXY(p, lastParams.scaleX, lastParams.scaleY, normal);
-			p = this.rotatePoint(p, lastParams.rotX, lastParams.rotY, lastParams.rotZ);
+			p.applyQuaternion(lastParams.orientation);
 			p.add(centroid).add(lastParams.translation);
 			return p;
 		});
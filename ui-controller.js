@@ -56,6 +56,36 @@ class UIController {
             this.app.faceSelector.clearSelection();
         });
 
+        document.getElementById('grow-selection-btn').addEventListener('click', () => {
+            this.app.faceSelector.growSelection();
+        });
+
+        document.getElementById('shrink-selection-btn').addEventListener('click', () => {
+            this.app.faceSelector.shrinkSelection();
+        });
+
+        document.getElementById('invert-selection-btn').addEventListener('click', () => {
+            this.app.faceSelector.invertSelection();
+        });
+
+        document.getElementById('select-by-btn').addEventListener('click', () => {
+            this.selectByCriteria();
+        });
+
+        // Inset selection
+        document.getElementById('inset-btn').addEventListener('click', () => {
+            this.insetFaces();
+        });
+
+        // Bridge target buttons
+        document.getElementById('set-bridge-target-btn').addEventListener('click', () => {
+            this.setBridgeTarget();
+        });
+
+        document.getElementById('clear-bridge-target-btn').addEventListener('click', () => {
+            this.clearBridgeTarget();
+        });
+
         // DISABLED: Weld triangles button (for future use)
         // document.getElementById('weld-triangles-btn').addEventListener('click', () => {
         //     this.weldSelectedTriangles();
@@ -124,6 +154,11 @@ class UIController {
             this.generatePipe();
         });
 
+        // Push/pull selected faces without building a tube
+        document.getElementById('move-faces-btn').addEventListener('click', () => {
+            this.moveFaces();
+        });
+
 		// Fix boundaries button
 		document.getElementById('fix-boundaries-btn').addEventListener('click', () => {
 			this.fixBoundaries();
@@ -220,14 +255,37 @@ class UIController {
 		const inputs = [
 			'length', 'offset-x', 'offset-y', 'offset-z',
 			'rot-x', 'rot-y', 'rot-z', 'scale-x', 'scale-y', 'segments',
-			'first-segment-split', 'final-segment-split'
+			'first-segment-split', 'final-segment-split', 'path-interpolation', 'wall-thickness',
+			'end-cap-style', 'end-cap-size', 'resample-points',
+			'ring-spacing', 'ring-chord-tolerance', 'ring-angle-tolerance', 'twist-rate',
+			'scale-profile', 'scale-profile-amount', 'scale-profile-keyframes',
+			'end-profile', 'end-profile-diameter', 'end-profile-sides', 'end-profile-width',
+			'end-profile-height', 'end-profile-radius',
+			'direction-mode', 'direction-x', 'direction-y', 'direction-z',
+			'pattern-type', 'pattern-count', 'pattern-axis', 'pattern-spacing', 'pattern-angle',
+			'mirror-plane',
+			'revolve-axis', 'revolve-radius', 'revolve-angle', 'revolve-steps'
 		];
 		
 		inputs.forEach(id => {
 			const input = document.getElementById(id);
 			input.addEventListener('input', throttledPreviewUpdate);
 		});
+
+		// The scale profile graph is cheap, so redraw it on every change (even without preview)
+		['length', 'scale-x', 'scale-y', 'path-interpolation',
+		 'scale-profile', 'scale-profile-amount', 'scale-profile-keyframes'].forEach(id => {
+			document.getElementById(id).addEventListener('input', () => this.drawScaleProfile());
+		});
+		this.setupScaleProfileEditing();
+		this.drawScaleProfile();
 		
+		// Path frame mode changes ring orientation, so refresh the preview right away
+		document.getElementById('follow-path').addEventListener('change', throttledPreviewUpdate);
+		document.getElementById('extrude-to-surface').addEventListener('change', throttledPreviewUpdate);
+		document.getElementById('cut-mode').addEventListener('change', throttledPreviewUpdate);
+		document.getElementById('revolve-mode').addEventListener('change', throttledPreviewUpdate);
+
 		// Preview checkbox
 		document.getElementById('show-preview').addEventListener('change', (e) => {
 			if (e.target.checked) {
@@ -345,6 +403,8 @@ class UIController {
             option.textContent = `WP${idx+1}: L=${wp.length.toFixed(1)}, Scale=(${wp.scaleX.toFixed(2)},${wp.scaleY.toFixed(2)})`;
             list.appendChild(option);
         });
+
+        this.drawScaleProfile();
     }
 
     updateSelectionCount() {
@@ -360,6 +420,169 @@ class UIController {
     }
 
 
+	/**
+	 * Push/pull: move the selected faces to the end face position and stretch the side walls
+	 * Topology is unchanged, so the selection stays valid for further moves.
+	 */
+	moveFaces() {
+		if (!this.app.mesh || this.app.selectedFaces.size === 0) {
+			alert('Please select faces first');
+			return;
+		}
+
+		const result = this.app.pipeGenerator.moveSelectedFaces(this.getParameters());
+		if (!result) {
+			alert('Failed to move faces. Check the log for details.');
+			return;
+		}
+
+		// Same faces, new positions
+		this.replaceMeshGeometry(result.geometry);
+	}
+
+	/**
+	 * Inset the selected faces and select the inner region for the following extrusion
+	 */
+	insetFaces() {
+		if (!this.app.mesh || this.app.selectedFaces.size === 0) {
+			alert('Please select faces first');
+			return;
+		}
+
+		const distance = parseFloat(document.getElementById('inset-distance').value) || 0;
+		const result = this.app.pipeGenerator.insetSelectedFaces(distance);
+		if (!result) {
+			alert('Failed to inset faces. Check the log for details.');
+			return;
+		}
+
+		// Face indices changed: the bridge target no longer points at the same faces
+		this.app.bridgeTargetFaces.clear();
+		this.updateBridgeTargetStatus();
+
+		this.app.selectedFaces = result.selectedFaces;
+		this.replaceMeshGeometry(result.geometry);
+	}
+
+	/**
+	 * Run the "Select By" query from the selection panel
+	 */
+	selectByCriteria() {
+		if (!this.app.mesh) {
+			alert('Load a mesh first');
+			return;
+		}
+
+		const criteria = this.getSelectionCriteria();
+		const mode = document.getElementById('select-by-mode').value || 'replace';
+		this.app.faceSelector.selectByCriteria(criteria, mode);
+	}
+
+	/**
+	 * Read the "Select By" controls
+	 * @returns {Object} - Criteria for FaceSelector.selectByCriteria
+	 */
+	getSelectionCriteria() {
+		const type = document.getElementById('select-by-criterion').value || 'normal';
+		const number = (id, fallback) => {
+			const value = parseFloat(document.getElementById(id).value);
+			return isNaN(value) ? fallback : value;
+		};
+
+		if (type === 'normal') {
+			const axis = document.getElementById('select-by-axis').value;
+			const direction = axis === 'custom'
+				? new THREE.Vector3(number('select-by-vector-x', 0), number('select-by-vector-y', 0), number('select-by-vector-z', 0))
+				: new THREE.Vector3().setComponent('xyz'.indexOf(axis[1]), axis[0] === '-' ? -1 : 1);
+			return { type, direction, angle: number('select-by-angle', 10) };
+		}
+		if (type === 'area') {
+			return {
+				type,
+				above: document.getElementById('select-by-area-compare').value !== 'below',
+				threshold: number('select-by-area', 0)
+			};
+		}
+		if (type === 'box') {
+			// Empty bounds leave that side open, so one bound gives a slab
+			return {
+				type,
+				min: new THREE.Vector3(number('select-by-min-x', -Infinity), number('select-by-min-y', -Infinity), number('select-by-min-z', -Infinity)),
+				max: new THREE.Vector3(number('select-by-max-x', Infinity), number('select-by-max-y', Infinity), number('select-by-max-z', Infinity))
+			};
+		}
+		return { type };
+	}
+
+	/**
+	 * Swap the working mesh geometry after an in-place edit (push/pull, inset)
+	 * Keeps the mesh, material and selection; stored boundary data is dropped because
+	 * the boundary moved.
+	 */
+	replaceMeshGeometry(geometry) {
+		this.app.clearPreview();
+
+		const oldGeometry = this.app.mesh.geometry;
+		this.app.mesh.geometry = geometry;
+		this.app.resourceTracker.track(geometry);
+		this.app.resourceTracker.disposeResource(oldGeometry);
+
+		if (this.app.originalGeometry) {
+			this.app.resourceTracker.disposeResource(this.app.originalGeometry);
+		}
+		this.app.originalGeometry = geometry.clone();
+		this.app.resourceTracker.track(this.app.originalGeometry);
+
+		this.app.boundaryData = null;
+
+		this.app.faceSelector.updateSelection();
+
+		// Recreate wireframe for the new geometry
+		if (this.app.wireframeMesh) {
+			this.app.scene.remove(this.app.wireframeMesh);
+			this.app.resourceTracker.disposeResource(this.app.wireframeMesh);
+			this.app.wireframeMesh = null;
+			this.app.toggleWireframe(true);
+		}
+	}
+
+	/**
+	 * Store the current selection as the bridge target and clear it for the start selection
+	 */
+	setBridgeTarget() {
+		if (this.app.selectedFaces.size === 0) {
+			alert('Please select the target faces first');
+			return;
+		}
+
+		this.app.bridgeTargetFaces = new Set(this.app.selectedFaces);
+		this.app.selectedFaces.clear();
+		this.app.boundaryData = null;
+		this.app.faceSelector.updateSelection();
+		this.updateBridgeTargetStatus();
+
+		this.app.log(`✔ Bridge target set: ${this.app.bridgeTargetFaces.size} faces`);
+		this.app.log('  Now select the start faces; Generate Extrusion will bridge them to the target');
+	}
+
+	clearBridgeTarget() {
+		this.app.bridgeTargetFaces.clear();
+		this.app.clearPreview();
+		this.app.faceSelector.updateSelection();
+		this.updateBridgeTargetStatus();
+		this.app.log('Bridge target cleared');
+	}
+
+	updateBridgeTargetStatus() {
+		const status = document.getElementById('bridge-target-status');
+		if (!status) return;
+
+		const count = this.app.bridgeTargetFaces.size;
+		status.textContent = count > 0
+			? `Bridge target: ${count} faces (Generate Extrusion bridges to it)`
+			: 'No bridge target';
+	}
+
 	createEndFace() {
 		try {
 			if (this.app.selectedFaces.size === 0) {
@@ -426,48 +649,11 @@ class UIController {
         // Calculate rotated axes
         const axisLength = 15;
         
-        // Start with standard axes
-        let xAxis = new THREE.Vector3(1, 0, 0);
-        let yAxis = new THREE.Vector3(0, 1, 0);
-        let zAxis = new THREE.Vector3(0, 0, 1);
-        
-        // Apply rotations in same order as the end face
-        const rotateVector = (vec, angleX, angleY, angleZ) => {
-            const v = vec.clone();
-            
-            // Rotate X
-            if (angleX !== 0) {
-                const rad = angleX * Math.PI / 180;
-                const y = v.y * Math.cos(rad) - v.z * Math.sin(rad);
-                const z = v.y * Math.sin(rad) + v.z * Math.cos(rad);
-                v.y = y;
-                v.z = z;
-            }
-            
-            // Rotate Y
-            if (angleY !== 0) {
-                const rad = angleY * Math.PI / 180;
-                const x = v.x * Math.cos(rad) + v.z * Math.sin(rad);
-                const z = -v.x * Math.sin(rad) + v.z * Math.cos(rad);
-                v.x = x;
-                v.z = z;
-            }
-            
-            // Rotate Z
-            if (angleZ !== 0) {
-                const rad = angleZ * Math.PI / 180;
-                const x = v.x * Math.cos(rad) - v.y * Math.sin(rad);
-                const y = v.x * Math.sin(rad) + v.y * Math.cos(rad);
-                v.x = x;
-                v.y = y;
-            }
-            
-            return v;
-        };
-        
-        xAxis = rotateVector(xAxis, params.rotX, params.rotY, params.rotZ);
-        yAxis = rotateVector(yAxis, params.rotX, params.rotY, params.rotZ);
-        zAxis = rotateVector(zAxis, params.rotX, params.rotY, params.rotZ);
+        // Rotate standard axes by the same quaternion the end face uses
+        const orientation = this.app.pipeGenerator.eulerToQuaternion(params.rotX, params.rotY, params.rotZ);
+        const xAxis = new THREE.Vector3(1, 0, 0).applyQuaternion(orientation);
+        const yAxis = new THREE.Vector3(0, 1, 0).applyQuaternion(orientation);
+        const zAxis = new THREE.Vector3(0, 0, 1).applyQuaternion(orientation);
         
         // Create arrows for each axis
         const createArrow = (direction, color) => {
@@ -503,22 +689,37 @@ generatePipe() {
         return;
     }
 
-    this.app.showLoading('Generating pipe...');
+    // With a bridge target set, the extrusion connects the selection to the target instead
+    const isBridge = this.app.bridgeTargetFaces.size > 0;
+
+    this.app.showLoading(isBridge ? 'Generating bridge...' : 'Generating pipe...');
 
     setTimeout(() => {
         const params = this.getParameters();
-        const result = this.app.pipeGenerator.generatePipe(params, false);
+        const result = isBridge
+            ? this.app.pipeGenerator.generateBridge(params, false)
+            : params.pattern || params.mirror
+                ? this.app.pipeGenerator.generatePattern(params, false)
+                : params.revolve
+                    ? this.app.pipeGenerator.generateRevolve(params, false)
+                    : this.app.pipeGenerator.generatePipe(params, false);
 
         if (result && result.pipe) {
+            // A cut or boolean union must not break a valid model, so remember whether it was valid before
+            const wasValid = (params.cut || !!result.unionTool) && this.app.meshIntegrityChecker.validate(this.app.mesh.geometry).valid;
+
             this.app.clearPreview();
             this.app.scene.remove(this.app.mesh);
 
             this.app.log('🔧 Building final mesh...');
 
-            // Remove selected faces to create a hole
+            // Remove selected faces to create a hole (and the target faces for a bridge)
+            const facesToRemove = isBridge
+                ? [...this.app.selectedFaces, ...this.app.bridgeTargetFaces]
+                : result.seamFaces || Array.from(this.app.selectedFaces);
             const originalGeometry = this.app.mesh.geometry.clone();
-            const cleanedOriginal = GeometryUtils.removeFaces(originalGeometry, Array.from(this.app.selectedFaces));
-            this.app.log(`  Removed ${this.app.selectedFaces.size} selected faces from original`);
+            const cleanedOriginal = GeometryUtils.removeFaces(originalGeometry, facesToRemove);
+            this.app.log(`  Removed ${facesToRemove.length} selected faces from original`);
 
             // SIMPLER FIX: Use aggressive welding at the merge to close small gaps
             // This handles concave selections where vertices don't perfectly align
@@ -542,7 +743,37 @@ generatePipe() {
 
             let finalMesh;
 
-            if (useCSG && csgAvailable) {
+            if (result.cutTool) {
+                // Through cut: subtract the closed tool from the whole model, then close the
+                // T-junction cracks the boolean leaves along the cut edges
+                this.app.log('  Using CSG subtract for through cut...');
+                try {
+                    const baseMesh = new THREE.Mesh(this.app.mesh.geometry.clone(), material);
+                    const subtracted = MeshBoolean.subtract(baseMesh, result.cutTool);
+                    finalMesh = new THREE.Mesh(GeometryUtils.fixTJunctions(subtracted.geometry), material);
+                } catch (error) {
+                    this.app.log(`✗ Through cut failed: ${error.message}`);
+                    this.app.scene.add(this.app.mesh);
+                    this.app.hideLoading();
+                    alert('Through cut failed. Check the log for details.');
+                    return;
+                }
+            } else if (result.unionTool) {
+                // Full-turn revolve: the closed ring is added with a boolean union, the
+                // selected faces stay and end up inside it
+                this.app.log('  Using CSG union for closed revolve...');
+                try {
+                    const baseMesh = new THREE.Mesh(this.app.mesh.geometry.clone(), material);
+                    const united = MeshBoolean.union(baseMesh, result.unionTool);
+                    finalMesh = new THREE.Mesh(GeometryUtils.fixTJunctions(united.geometry), material);
+                } catch (error) {
+                    this.app.log(`✗ Revolve union failed: ${error.message}`);
+                    this.app.scene.add(this.app.mesh);
+                    this.app.hideLoading();
+                    alert('Revolve union failed. Check the log for details.');
+                    return;
+                }
+            } else if (useCSG && csgAvailable) {
                 // Use CSG for robust, watertight merging
                 this.app.log('  Using CSG union for watertight merge...');
 
@@ -632,6 +863,15 @@ generatePipe() {
             } else {
                 this.app.log('  ⚠️ Geometry has minor issues (acceptable for continued work):');
                 cleanReport.warnings.forEach(w => this.app.log(`    - ${w}`));
+
+                if (wasValid) {
+                    const operation = params.cut ? 'cut' : 'revolve';
+                    this.app.log(`✗ The ${operation} would leave the model open or non-manifold, model left unchanged`);
+                    this.app.scene.add(this.app.mesh);
+                    this.app.hideLoading();
+                    alert(`The ${operation} could not be made watertight. Try fewer segments or a simpler path.`);
+                    return;
+                }
             }
 
             // Recompute bounding box
@@ -653,9 +893,11 @@ generatePipe() {
             this.app.scene.add(this.app.mesh);
 
             // RESET STATE for continued work on the new mesh
-            // 1. Clear selection
+            // 1. Clear selection and bridge target (face indices no longer match)
             this.app.selectedFaces.clear();
+            this.app.bridgeTargetFaces.clear();
             this.updateSelectionCount();
+            this.updateBridgeTargetStatus();
 
             // 2. Update original geometry reference to new mesh
             if (this.app.originalGeometry) {
@@ -794,8 +1036,231 @@ generatePipe() {
             scaleY: parseFloat(document.getElementById('scale-y').value) || 1,
             segments: parseInt(document.getElementById('segments').value) || 20,
             finalSegmentSplit: parseInt(document.getElementById('final-segment-split').value) || 0,
-            firstSegmentSplit: parseInt(document.getElementById('first-segment-split').value) || 0
+            firstSegmentSplit: parseInt(document.getElementById('first-segment-split').value) || 0,
+            pathInterpolation: document.getElementById('path-interpolation').value || 'linear',
+            followPath: document.getElementById('follow-path').checked,
+            extrudeToSurface: document.getElementById('extrude-to-surface').checked,
+            cut: document.getElementById('cut-mode').checked,
+            directionMode: document.getElementById('direction-mode').value || 'normal',
+            directionX: parseFloat(document.getElementById('direction-x').value) || 0,
+            directionY: parseFloat(document.getElementById('direction-y').value) || 0,
+            directionZ: parseFloat(document.getElementById('direction-z').value) || 0,
+            wallThickness: Math.max(parseFloat(document.getElementById('wall-thickness').value) || 0, 0),
+            endCapStyle: document.getElementById('end-cap-style').value || 'flat',
+            endCapSize: parseFloat(document.getElementById('end-cap-size').value) || 2,
+            resamplePoints: Math.max(parseInt(document.getElementById('resample-points').value) || 0, 0),
+            ringSpacing: document.getElementById('ring-spacing').value || 'uniform',
+            ringChordTolerance: parseFloat(document.getElementById('ring-chord-tolerance').value) || 0.1,
+            ringAngleTolerance: parseFloat(document.getElementById('ring-angle-tolerance').value) || 5,
+            twistRate: parseFloat(document.getElementById('twist-rate').value) || 0,
+            scaleProfile: this.getScaleProfile(),
+            pattern: this.getPattern(),
+            mirror: document.getElementById('mirror-plane').value !== 'none'
+                ? { plane: document.getElementById('mirror-plane').value }
+                : null,
+            revolve: document.getElementById('revolve-mode').checked
+                ? {
+                    axis: document.getElementById('revolve-axis').value || 'local-x',
+                    radius: parseFloat(document.getElementById('revolve-radius').value) || 0,
+                    angle: parseFloat(document.getElementById('revolve-angle').value) || 0,
+                    steps: parseInt(document.getElementById('revolve-steps').value) || 16
+                }
+                : null,
+            endProfile: {
+                shape: document.getElementById('end-profile').value || 'none',
+                diameter: parseFloat(document.getElementById('end-profile-diameter').value) || 0,
+                sides: parseInt(document.getElementById('end-profile-sides').value) || 6,
+                width: parseFloat(document.getElementById('end-profile-width').value) || 0,
+                height: parseFloat(document.getElementById('end-profile-height').value) || 0,
+                radius: Math.max(parseFloat(document.getElementById('end-profile-radius').value) || 0, 0)
+            }
+        };
+    }
+
+    /**
+     * Read the pattern controls
+     * @returns {Object|null} - {type, count, axis, spacing, angle} or null without a pattern
+     */
+    getPattern() {
+        const type = document.getElementById('pattern-type').value || 'none';
+        if (type === 'none') return null;
+
+        return {
+            type,
+            count: Math.max(parseInt(document.getElementById('pattern-count').value) || 2, 2),
+            axis: document.getElementById('pattern-axis').value || 'z',
+            spacing: parseFloat(document.getElementById('pattern-spacing').value) || 0,
+            angle: parseFloat(document.getElementById('pattern-angle').value) || 0
+        };
+    }
+
+    /**
+     * Read the scale profile controls
+     * @returns {Object|null} - {shape, amount, keyframes} or null for a linear profile
+     */
+    getScaleProfile() {
+        const shape = document.getElementById('scale-profile').value || 'linear';
+        if (shape === 'linear') return null;
+
+        const amount = parseFloat(document.getElementById('scale-profile-amount').value) || 0;
+
+        // "t:scale" pairs, e.g. "0:1, 0.5:1.5, 1:1"
+        const keyframes = document.getElementById('scale-profile-keyframes').value
+            .split(',')
+            .map(pair => pair.split(':').map(v => parseFloat(v)))
+            .filter(([t, scale]) => !isNaN(t) && !isNaN(scale) && scale > 0)
+            .map(([t, scale]) => ({ t: Math.min(Math.max(t, 0), 1), scale }))
+            .sort((a, b) => a.t - b.t);
+
+        return { shape, amount, keyframes };
+    }
+
+    /**
+     * Plot scale X/Y along the extrusion in the scale profile canvas
+     */
+    drawScaleProfile() {
+        const canvas = document.getElementById('scale-profile-canvas');
+        if (!canvas) return;
+
+        const ctx = canvas.getContext('2d');
+        const { width, height } = canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const params = this.getParameters();
+        const pipeGenerator = this.app.pipeGenerator;
+        const controlPoints = pipeGenerator.buildControlPoints(params);
+        const normal = new THREE.Vector3(0, 0, 1);
+
+        const samples = [];
+        for (let i = 0; i <= 100; i++) {
+            const t = i / 100;
+            const p = pipeGenerator.interpolateParams(t, controlPoints, normal, params.pathInterpolation, params.scaleProfile);
+            samples.push({ t, scaleX: p.scaleX, scaleY: p.scaleY });
+        }
+
+        // Always show scale 0..1 so a taper reads correctly; the axis holds still while a key is dragged
+        const customKeys = params.scaleProfile && params.scaleProfile.shape === 'custom' ? params.scaleProfile.keyframes : null;
+        const maxScale = this.scaleProfileDrag
+            ? this.scaleProfileDrag.maxScale
+            : Math.max(1, ...samples.map(s => Math.max(s.scaleX, s.scaleY)), ...(customKeys || []).map(key => key.scale)) * 1.1;
+        const toX = (t) => 4 + t * (width - 8);
+        const toY = (scale) => height - 4 - (scale / maxScale) * (height - 8);
+        this.scaleProfileView = {
+            maxScale,
+            toPoint: (key) => ({ x: toX(key.t), y: toY(key.scale) }),
+            toKey: (point) => ({
+                t: Math.min(Math.max((point.x - 4) / (width - 8), 0), 1),
+                scale: Math.max((height - 4 - point.y) / (height - 8) * maxScale, 0.05)
+            })
+        };
+        canvas.style.cursor = customKeys ? 'crosshair' : 'default';
+
+        // Scale = 1 reference line
+        ctx.strokeStyle = '#444';
+        ctx.setLineDash([3, 3]);
+        ctx.beginPath();
+        ctx.moveTo(toX(0), toY(1));
+        ctx.lineTo(toX(1), toY(1));
+        ctx.stroke();
+        ctx.setLineDash([]);
+
+        [['scaleX', '#ff5555'], ['scaleY', '#55ff55']].forEach(([key, color]) => {
+            ctx.strokeStyle = color;
+            ctx.beginPath();
+            samples.forEach((s, i) => {
+                if (i === 0) ctx.moveTo(toX(s.t), toY(s[key]));
+                else ctx.lineTo(toX(s.t), toY(s[key]));
+            });
+            ctx.stroke();
+        });
+
+        // Waypoints as ticks
+        ctx.fillStyle = '#888';
+        controlPoints.forEach(cp => ctx.fillRect(toX(cp.t) - 0.5, 0, 1, 4));
+
+        // Custom keys as draggable handles (scale multipliers on the same axis)
+        if (customKeys) {
+            ctx.fillStyle = '#ffffff';
+            customKeys.forEach(key => ctx.fillRect(toX(key.t) - 3, toY(key.scale) - 3, 6, 6));
+        }
+    }
+
+    /**
+     * Edit the custom scale profile on its graph: drag a key to move it, click empty space
+     * to add one, double-click a key to remove it. The Keys field is rewritten to match.
+     */
+    setupScaleProfileEditing() {
+        const canvas = document.getElementById('scale-profile-canvas');
+        if (!canvas) return;
+
+        const toCanvas = (event) => {
+            const rect = canvas.getBoundingClientRect();
+            return {
+                x: (event.clientX - rect.left) * canvas.width / rect.width,
+                y: (event.clientY - rect.top) * canvas.height / rect.height
+            };
         };
+        const customKeys = () => {
+            const profile = this.getScaleProfile();
+            return profile && profile.shape === 'custom' && this.scaleProfileView ? profile.keyframes : null;
+        };
+        const keyAt = (point, keys) => keys.findIndex(key => {
+            const handle = this.scaleProfileView.toPoint(key);
+            return Math.hypot(handle.x - point.x, handle.y - point.y) <= 6;
+        });
+
+        canvas.addEventListener('pointerdown', (event) => {
+            const keys = customKeys();
+            if (!keys) return;
+
+            const point = toCanvas(event);
+            let key = keys[keyAt(point, keys)];
+            if (!key) {
+                key = this.scaleProfileView.toKey(point);
+                keys.push(key);
+            }
+            this.scaleProfileDrag = { keys, key, maxScale: this.scaleProfileView.maxScale };
+            this.setScaleProfileKeys(keys);
+            canvas.setPointerCapture(event.pointerId);
+        });
+
+        canvas.addEventListener('pointermove', (event) => {
+            if (!this.scaleProfileDrag) return;
+            const { keys, key } = this.scaleProfileDrag;
+            Object.assign(key, this.scaleProfileView.toKey(toCanvas(event)));
+            this.setScaleProfileKeys(keys);
+        });
+
+        canvas.addEventListener('pointerup', (event) => {
+            if (!this.scaleProfileDrag) return;
+            this.scaleProfileDrag = null;
+            canvas.releasePointerCapture(event.pointerId);
+            this.drawScaleProfile();
+        });
+
+        canvas.addEventListener('dblclick', (event) => {
+            const keys = customKeys();
+            if (!keys || keys.length <= 2) return;
+            const index = keyAt(toCanvas(event), keys);
+            if (index >= 0) {
+                keys.splice(index, 1);
+                this.setScaleProfileKeys(keys);
+            }
+        });
+    }
+
+    /**
+     * Write custom scale profile keys back to the Keys field; the field's input listeners
+     * redraw the graph and refresh the preview
+     * @param {Array<Object>} keys - {t, scale} keys
+     */
+    setScaleProfileKeys(keys) {
+        const input = document.getElementById('scale-profile-keyframes');
+        input.value = [...keys]
+            .sort((a, b) => a.t - b.t)
+            .map(key => `${Number(key.t.toFixed(2))}:${Number(key.scale.toFixed(2))}`)
+            .join(', ');
+        input.dispatchEvent(new Event('input'));
     }
     
     async simplifyMesh() {
@@ -1398,11 +1863,15 @@ generatePipe() {
 	
 	
 	updatePreview() {
+		this.drawScaleProfile();
+
 		if (!this.app.mesh || this.app.selectedFaces.size === 0) {
 			return;
 		}
 
-		if (!this.app.boundaryData) {
+		const isBridge = this.app.bridgeTargetFaces.size > 0;
+
+		if (!this.app.boundaryData && !isBridge) {
 			this.app.log('⚠️ Create end face first');
 			return;
 		}
@@ -1422,7 +1891,13 @@ generatePipe() {
 		const params = this.getParameters();
 
 		// Generate preview
-		const preview = this.app.pipeGenerator.generatePipe(params, true);
+		const preview = isBridge
+			? this.app.pipeGenerator.generateBridge(params, true)
+			: params.pattern || params.mirror
+				? this.app.pipeGenerator.generatePattern(params, true)
+				: params.revolve
+					? this.app.pipeGenerator.generateRevolve(params, true)
+					: this.app.pipeGenerator.generatePipe(params, true);
 
 		if (preview) {
 			this.app.previewMesh = preview.pipe;